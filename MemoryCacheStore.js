@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * In-memory, least-recently-used cache store with per-entry expiry. Used by PostgresCrudService when caching is on and
+ * no other store is given.
+ *
+ * Any object with the same async get/set/clear methods can be used as a store instead, e.g. one backed by Redis.
+ */
+class MemoryCacheStore {
+
+    /**
+     * Constructor
+     * @param {{maxEntries:number?}} [options] – Store options
+     */
+    constructor(options={}) {
+
+        /**
+         * How many entries to keep before evicting the least recently used
+         * @type {number}
+         */
+        this.maxEntries = options.maxEntries || 1000;
+
+        /**
+         * Entries by key, least recently used first
+         * @type {Map<string, {value:*, expiresAt:number}>}
+         * @private
+         */
+        this._entries = new Map();
+    }
+
+    /**
+     * Number of entries currently held, including expired ones that have not been evicted yet
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Gets a cached value
+     * @param {string} key – Cache key
+     * @returns {Promise<*>} – The value, or undefined if not cached or expired
+     */
+    async get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return undefined;
+
+        this._entries.delete(key);
+        if (entry.expiresAt <= Date.now()) return undefined;
+
+        // Move to the most recently used end
+        this._entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Caches a value
+     * @param {string} key – Cache key
+     * @param {*} value – Value to cache (anything but undefined)
+     * @param {number} [ttlMs] – How long the value may be used for. Kept until evicted if not given.
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+        this._entries.delete(key);
+        this._entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : Infinity });
+
+        for (const oldest of this._entries.keys()) {
+            if (this._entries.size <= this.maxEntries) break;
+            this._entries.delete(oldest);
+        }
+    }
+
+    /**
+     * Removes cached values
+     * @param {string} [prefix] – Only remove keys starting with this, otherwise everything is removed
+     * @returns {Promise<void>}
+     */
+    async clear(prefix) {
+        if (prefix === undefined) return this._entries.clear();
+        for (const key of this._entries.keys()) {
+            if (key.startsWith(prefix)) this._entries.delete(key);
+        }
+    }
+}
+
+module.exports = MemoryCacheStore;
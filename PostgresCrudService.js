@@ -1,6 +1,10 @@
 "use strict";
 
 const debug = require('debug')('pg:crud');
+const Crypto = require('crypto');
+const sql = require('./sql');
+const MemoryCacheStore = require('./MemoryCacheStore');
+const PostgresMigrator = require('./PostgresMigrator');
 
 /**
  * Base service that all object CRUD services should inherit
@@ -73,108 +77,318 @@ class PostgresCrudService {
          * @protected
          */
         this._concealDeadResources = options.concealDeadResources !== undefined ? options.concealDeadResources : true;
+
+        /**
+         * Columns whose values are masked in reports, logs and query events (undefined = the service's policy)
+         * @type {[string|RegExp]|undefined}
+         * @protected
+         */
+        this._redactColumns = options.redactColumns;
+
+        /**
+         * Whether each tenant has its own copy of the table, in its own schema (see tenantSchema)
+         * @type {boolean}
+         */
+        this.tenantAware = !!options.tenantAware;
+
+        /**
+         * Name of the table in the base schema that records provisioned tenants, in tenant-aware mode
+         * @type {string}
+         */
+        this.tenantTable = options.tenantTable || 'tenants';
+
+        /**
+         * Versioned migrations of the table, applied by init – an array of migration objects or a directory path
+         * @type {[*]|string|undefined}
+         */
+        this.migrations = options.migrations;
+
+        /**
+         * Table descriptions by schema, see getColumns
+         * @type {Map<string, Promise<*>>}
+         * @private
+         */
+        this._columns = new Map();
+
+        /**
+         * Result cache of retrieve, find and count, or null when caching is off
+         * @type {{store:*, ttlMs:number}|null}
+         * @protected
+         */
+        this._cache = null;
+        if (options.cache) {
+            const { store, ttlMs = 60000, maxEntries } = options.cache === true ? {} : options.cache;
+            this._cache = { store: store || new MemoryCacheStore({ maxEntries }), ttlMs };
+        }
+
+        /**
+         * Cache namespaces to invalidate once each transaction commits
+         * @type {WeakMap<PostgresTransaction, Set<string>>}
+         * @private
+         */
+        this._pendingInvalidations = new WeakMap();
+
+        /**
+         * How many times each cache namespace was invalidated, so reads that overlap a write know not to cache
+         * @type {Map<string, number>}
+         * @private
+         */
+        this._cacheGenerations = new Map();
+    }
+
+    /**
+     * Gets the name of the schema holding the given tenant's table. Override this (and listTenants) to name tenant
+     * schemas differently.
+     * @param {string} tenant – Tenant identifier
+     * @returns {string}
+     */
+    tenantSchema(tenant) {
+        if (typeof tenant !== 'string' || !/^[a-z0-9_]+$/i.test(tenant)) {
+            throw new Error('PostgresCrudService: Tenant must be a string of letters, digits and underscores');
+        }
+        return `${this.schema}_${tenant}`;
+    }
+
+    /**
+     * Lists the provisioned tenants that still have a schema. Schemas that merely share the prefix are not tenants.
+     * @param {Client} [client] – Active session
+     * @returns {Promise<[string]>}
+     */
+    async listTenants(client) {
+        const exists = await this.service.query(sql`SELECT 1 FROM pg_catalog.pg_tables WHERE schemaname = ${this.schema} AND tablename = ${this.tenantTable}`, { client });
+        if (!exists.rowCount) return [];
+
+        const res = await this.service.query(sql`SELECT "tenant" FROM ${sql.id(this.schema, this.tenantTable)} ORDER BY "tenant"`, { client });
+        const tenants = res.rows.map(row => row.tenant);
+
+        // Leave out tenants whose schema was dropped since
+        const schemas = await this.service.query(sql`SELECT schema_name FROM information_schema.schemata WHERE schema_name = ANY(${tenants.map(tenant => this.tenantSchema(tenant))})`, { client });
+        const existing = new Set(schemas.rows.map(row => row.schema_name));
+        return tenants.filter(tenant => existing.has(this.tenantSchema(tenant)));
+    }
+
+    /**
+     * Records a tenant as provisioned, creating the registry table if needed
+     * @param {Client} client – Active session
+     * @param {string} tenant – Tenant identifier
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _registerTenant(client, tenant) {
+        const registry = sql.id(this.schema, this.tenantTable);
+        await this.service.query(sql`CREATE SCHEMA IF NOT EXISTS ${sql.id(this.schema)}`, { client });
+        await this.service.query(sql`CREATE TABLE IF NOT EXISTS ${registry} ("tenant" varchar(255) NOT NULL PRIMARY KEY, "created" timestamptz NOT NULL DEFAULT now())`, { client });
+        await this.service.query(sql`INSERT INTO ${registry} ("tenant") VALUES (${tenant}) ON CONFLICT DO NOTHING`, { client });
+    }
+
+    /**
+     * Wraps a column value as a query argument, marking it sensitive if the column is redacted
+     * @param {string} field – Column name
+     * @param {*} value – Column value
+     * @returns {*}
+     * @protected
+     */
+    _param(field, value) {
+        return this.service.isRedactedColumn(field, this._redactColumns) ? sql.sensitive(value) : value;
+    }
+
+    /**
+     * Copies a row with the values of redacted columns masked, so it can be reported
+     * @param {*} doc – Row or data
+     * @returns {*}
+     * @protected
+     */
+    _redactDoc(doc) {
+        if (!doc || typeof doc !== 'object') return doc;
+        const redacted = Object.assign({}, doc);
+        Object.keys(redacted).forEach(field => {
+            if (redacted[field] !== null && redacted[field] !== undefined && this.service.isRedactedColumn(field, this._redactColumns)) {
+                redacted[field] = this.service.constructor.REDACTED;
+            }
+        });
+        return redacted;
     }
 
     /**
      * Hook to create the schema if it does not exist
      * @param {Client} client - Active client
+     * @param {string} [schema] – Schema to create (differs from this.schema in tenant-aware mode)
      * @returns {Promise<void>}
      * @protected
      */
-    async _createSchema(client) {
-        debug('Creating schema %s', this.schema);
-        await this.service.query(`CREATE SCHEMA "${this.schema}";`, [], { client });
+    async _createSchema(client, schema=this.schema) {
+        debug('Creating schema %s', schema);
+        await this.service.query(sql`CREATE SCHEMA ${sql.id(schema)};`, { client });
     }
 
     // noinspection JSMethodCanBeStatic
     /**
      * Hook to update the schema if it already exists
      * @param {Client} client - Active session
+     * @param {string} [schema] – Schema to update (differs from this.schema in tenant-aware mode)
      * @returns {Promise<void>}
      * @protected
      */
-    async _updateSchema(client) { // eslint-disable-line no-unused-vars
+    async _updateSchema(client, schema=this.schema) { // eslint-disable-line no-unused-vars
         // Could add/remove views, triggers, procedures, you name it...
     }
 
     /**
      * Hook to create the schema table if it does not exist
      * @param {Client} client – Active session
+     * @param {string} [schema] – Schema to create the table in (differs from this.schema in tenant-aware mode)
      * @returns {Promise<void>}
      * @protected
      */
-    async _createTable(client) { // eslint-disable-line no-unused-vars
+    async _createTable(client, schema=this.schema) { // eslint-disable-line no-unused-vars
+        // Migrations are in charge of the table, if there are any
+        if (this.migrations) return;
+
         const err = new Error('PostgresCrudService: Method _createTable must be overridden to properly create your table');
-        await this.app.report(err, { schema: this.schema, table: this.table });
+        await this.app.report(err, { schema, table: this.table });
         throw err;
     }
 
     /**
      * Hook to update a table if it already exists
      * @param {Client} client – Active session
+     * @param {string} [schema] – Schema the table is in (differs from this.schema in tenant-aware mode)
      * @returns {Promise<void>}
      * @protected
      */
-    async _updateTable(client) { // eslint-disable-line no-unused-vars
+    async _updateTable(client, schema=this.schema) { // eslint-disable-line no-unused-vars
         // Could add/remove columns, indices, FK's, you name it...
     }
 
     /**
-     * Initializes the schema and table. Use this._createSchema, this._createTable, this._updateSchema, this._updateTable hooks for implementation
+     * Initializes the schema and table. Use this._createSchema, this._createTable, this._updateSchema, this._updateTable hooks for implementation,
+     * then applies any pending migrations.
+     *
+     * In tenant-aware mode, the hooks run for every existing tenant schema instead. New tenants are set up with provisionTenant.
      * @returns {Promise<void>}
      */
     async init() {
-        // Get a new session
-        const client = await this.service.getConnection();
+        if (!this.tenantAware) return this._initSchema(this.schema);
+
+        const tenants = await this.listTenants();
+        debug('Initializing %d tenant schema(s)', tenants.length);
+        for (const tenant of tenants) {
+            await this._initSchema(this.tenantSchema(tenant), tenant);
+        }
+    }
+
+    /**
+     * Sets up the schema and table of a new tenant. Safe to call for an existing tenant, in which case the update hooks run.
+     * @param {string} tenant – Tenant identifier
+     * @returns {Promise<void>}
+     */
+    async provisionTenant(tenant) {
+        if (!this.tenantAware) throw new Error('PostgresCrudService: provisionTenant requires `tenantAware` mode');
+        await this._initSchema(this.tenantSchema(tenant), tenant);
+    }
 
+    /**
+     * Creates or updates the given schema and its table, via the hooks
+     * @param {string} schema – Schema name
+     * @param {string} [tenant] – Tenant the schema belongs to, if any
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initSchema(schema, tenant) {
         try {
-            // Start a transaction to prevent races
-            await client.query('BEGIN');
-
-            // Schema exists?
-            debug('Checking if schema %s exists', this.schema);
-            let schemas = await this.service.query(`SELECT schema_name FROM information_schema.schemata WHERE schema_name = $1`, [this.schema], { client: client });
-            let exists = schemas.rowCount > 0;
-            if (!exists) {
-                // No, let the operator create it
-                debug('Schema does not exist, creating...');
-                await this._createSchema(client);
-            } else {
-                // Let the app update anything it wants to here
-                debug('Schema exists, calling _updateSchema hook...');
-                await this._updateSchema(client)
-            }
+            // Run everything in a transaction to prevent races
+            await this.service.transaction(async (tx) => {
+                const client = tx.client;
+
+                // Schema exists?
+                debug('Checking if schema %s exists', schema);
+                let schemas = await this.service.query(sql`SELECT schema_name FROM information_schema.schemata WHERE schema_name = ${schema}`, { client: client });
+                let exists = schemas.rowCount > 0;
+                if (!exists) {
+                    // No, let the operator create it
+                    debug('Schema does not exist, creating...');
+                    await this._createSchema(client, schema);
+                } else {
+                    // Let the app update anything it wants to here
+                    debug('Schema exists, calling _updateSchema hook...');
+                    await this._updateSchema(client, schema)
+                }
 
-            // Table exists?
-            debug('Checking if table %s exists...', this.table);
-            const tables = await this.service.query(`SELECT tablename FROM pg_catalog.pg_tables WHERE schemaname = $1 AND tablename = $2`, [this.schema, this.table], { client: client });
-            exists = tables.rowCount > 0;
-            if (!exists) {
-                // No, let the operator create it
-                debug('Table does not exist, creating...');
-                await this._createTable(client);
-            } else {
-                // Let the app update anything it wants to here
-                debug('Table exists, calling _updateTable hook...');
-                await this._updateTable(client);
+                // Table exists?
+                debug('Checking if table %s exists...', this.table);
+                const tables = await this.service.query(sql`SELECT tablename FROM pg_catalog.pg_tables WHERE schemaname = ${schema} AND tablename = ${this.table}`, { client: client });
+                exists = tables.rowCount > 0;
+                if (!exists) {
+                    // No, let the operator create it
+                    debug('Table does not exist, creating...');
+                    await this._createTable(client, schema);
+                } else {
+                    // Let the app update anything it wants to here
+                    debug('Table exists, calling _updateTable hook...');
+                    await this._updateTable(client, schema);
+                }
+
+                if (tenant !== undefined) await this._registerTenant(client, tenant);
+            });
+
+            // Migrations lock and commit on their own, so they run after the schema exists. Running them as the
+            // tenant lets them use this service's methods.
+            if (this.migrations) {
+                const migrator = this.migrator({ tenant });
+                await (tenant === undefined ? migrator.up() : this.service.withTenant(tenant, () => migrator.up()));
             }
 
-            // Commit the results
-            await client.query('COMMIT');
+            // The table may have changed
+            this._columns.delete(schema);
 
         } catch (err) {
-            await this.app.report('PostgresCrudService: Failed to initialize', err, { schema: this.schema, table: this.table });
-
-            // Abort
-            await client.query('ROLLBACK');
+            await this.app.report('PostgresCrudService: Failed to initialize', err, tenant === undefined ? { schema, table: this.table } : { schema, table: this.table, tenant });
 
             // rethrow
             throw err;
+        }
+    }
 
-        } finally {
-            // Release the client back to the pool
-            await client.release();
+    /**
+     * Describes the table – its columns, primary key, unique constraints, indexes and foreign keys. The description is
+     * read once and cached, until init runs again or a refresh is asked for.
+     * @param {{refresh:boolean?, tenant:string?}} [options] – Options
+     * @returns {Promise<*>} – See PostgresService.describeTable. Rejects if the table does not exist.
+     */
+    async getColumns(options={}) {
+        const schema = this._getSchema(options);
+        if (options.refresh || !this._columns.has(schema)) {
+            const description = this.service.describeTable(schema, this.table)
+                .then(res => {
+                    if (!res) throw new Error(`PostgresCrudService: Table ${schema}.${this.table} does not exist`);
+                    return res;
+                });
+            this._columns.set(schema, description);
+
+            // Don't remember failures
+            description.catch(() => {
+                if (this._columns.get(schema) === description) this._columns.delete(schema);
+            });
         }
+        return this._columns.get(schema);
+    }
+
+    /**
+     * Gets a migrator for the table's migrations. Bookkeeping is kept in the table's schema, so each tenant has its own.
+     * Migrations only see the tenant through their context, unless the migrator is run within service.withTenant.
+     * @param {{tenant:string?}} [options] – Tenant to migrate, in tenant-aware mode
+     * @returns {PostgresMigrator}
+     */
+    migrator(options={}) {
+        if (!this.migrations) throw new Error('PostgresCrudService: No `migrations` were given');
+        const schema = this._getSchema(options);
+        const { tenant = this.tenantAware ? this.service.currentTenant() : undefined } = options;
+        return new PostgresMigrator(this.service, {
+            migrations: this.migrations,
+            schema,
+            scope: this.table,
+            context: { schema, table: this.table, tenant, crud: this }
+        });
     }
 
     /**
@@ -183,18 +397,52 @@ class PostgresCrudService {
      * @param {*} [options] – Query options
      * @returns {Promise<Result>}
      */
-    create(data, options) {
-        const args = Object.values(data);
+    async create(data, options) {
+        const fields = Object.keys(data);
 
-        // Build query and args
-        let sql = `INSERT INTO "${this.schema}"."${this.table}" (${Object.keys(data).map(field => `"${field}"`).join(', ')}) VALUES (${Object.keys(data).map((field, i) => '$'+(i+1)).join(', ')}) RETURNING *`;
+        // Build query
+        const query = sql`INSERT INTO ${this._tableId(options)} (${sql.join(fields.map(field => sql.id(field)))}) VALUES (${sql.join(fields.map(field => this._param(field, data[field])))}) RETURNING *`;
 
         return this.service.query(
-            sql,
-            args,
+            query,
             options
         )
-            .then(res => res.rows[0]);
+            .then(async res => {
+                await this._invalidateCache(options);
+                return res.rows[0];
+            });
+    }
+
+    /**
+     * Bulk loads rows into the table using COPY
+     * @param {Readable|[*]} rows – Array of rows (objects or arrays), or a readable stream of COPY data
+     * @param {{columns:[string]?, format:string?, header:boolean?, client:*?}} [options] – Copy options
+     * @returns {Promise<{rowCount:number}>}
+     */
+    async importRows(rows, options={}) {
+        const res = await this.service.copyFrom([this._getSchema(options), this.table], options.columns || null, rows, options);
+        await this._invalidateCache(options);
+        return res;
+    }
+
+    /**
+     * Bulk exports the table using COPY
+     * @param {{columns:[string]?, format:string?, header:boolean?, conceal:boolean?, client:*?}} [options] – Copy options
+     * @returns {Readable} – Stream of COPY data
+     */
+    exportRows(options={}) {
+        const { columns, conceal = true } = options;
+
+        // Actively prevent dead resources from exporting
+        if (this._concealDeadResources && conceal) {
+            // COPY can't take arguments, so the status has to be inlined as a literal
+            const fieldsSql = columns && columns.length ? sql.join(columns.map(field => sql.id(field))) : sql.raw('*');
+            const deletedStatus = sql.raw(`'${String(this._deletedStatus).replace(/'/g, "''")}'`);
+            const query = sql`SELECT ${fieldsSql} FROM ${this._tableId(options)} WHERE ${sql.id(this.statusField)} != ${deletedStatus}`;
+            return this.service.copyTo(query.toQuery().text, options);
+        }
+
+        return this.service.copyTo([this._getSchema(options), this.table], options);
     }
 
     /**
@@ -206,31 +454,28 @@ class PostgresCrudService {
      * @param {*} [options] – Query options
      * @returns {Promise<Result>}
      */
-    retrieve(id, options={}) {
-        const { client } = options;
+    async retrieve(id, options={}) {
+        const { client, outsideTransaction, readOnly = true } = options;
 
         // Only do a query if there's something to query for
         if (id !== undefined && id !== null) {
-            let sql = `SELECT * FROM "${this.schema}"."${this.table}" WHERE "${this.idField}" = $1`;
-            const args = [id];
+            let query = sql`SELECT * FROM ${this._tableId(options)} WHERE ${sql.id(this.idField)} = ${id}`;
 
             // If conceal mode is activated, prevent dead resources from returning
             if (this._concealDeadResources) {
-                sql += ` AND "${this.statusField}" != $2`;
-                args.push(this._deletedStatus);
+                query = sql`${query} AND ${sql.id(this.statusField)} != ${this._deletedStatus}`;
             }
 
-            sql += ' LIMIT 1';
+            query = sql`${query} LIMIT 1`;
 
-            return this.service.query(
-                sql,
-                args,
-                { client }
+            return this._cached(stableStringify(['retrieve', id]), options, () => this.service.query(
+                query,
+                { client, outsideTransaction, readOnly, prepare: true }
             )
                 .then(res => {
                     return res.rows[0] || null;
                 })
-            ;
+            );
 
         } else {
             // id has no value - so... womp.
@@ -241,23 +486,33 @@ class PostgresCrudService {
     /**
      * Retrieves one or more records that match the given criteria
      * @param {*} criteria - Filter criteria
-     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [mode]:string}} [options] - Query options
+     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [mode]:string, [readOnly]:boolean, [timeoutMs]:number, [signal]:AbortSignal, [explain]:boolean|*}} [options] - Query options
      * @return {Query}
      */
-    find(criteria, options={}) {
-        const { client } = options;
+    async find(criteria, options={}) {
+        const { client, outsideTransaction, readOnly = true, timeoutMs, signal } = options;
+
+        // Key the cache before criteria and options get picked apart below (field and sort order matter)
+        const cacheKey = stableStringify(['find', criteria || null, {
+            skip: options.skip,
+            take: options.take,
+            fields: options.fields && Object.entries(options.fields),
+            sort: options.sort && Object.entries(options.sort),
+            conceal: options.conceal,
+            mode: options.mode
+        }]);
 
         let where = [];
-        let args = [];
 
         // Strip options out so we can stick them into the query builder
-        let skip, limit, fields, sort, conceal = true, mode;
+        let skip, limit, fields, sort, conceal = true, mode, explain;
         if (typeof options.skip !== "undefined") { skip = options.skip; delete options.skip; }
         if (typeof options.take !== "undefined") { limit = options.take; delete options.take; }
         if (typeof options.fields !== "undefined") { fields = options.fields; delete options.fields; }
         if (typeof options.sort !== "undefined") { sort = options.sort; delete options.sort; }
         if (typeof options.conceal !== "undefined") { conceal = options.conceal; delete options.conceal; }
         if (typeof options.mode !== "undefined") { mode = options.mode; delete options.mode; fields = undefined; }
+        if (typeof options.explain !== "undefined") { explain = options.explain; delete options.explain; }
 
         // Actively prevent dead resources from returning, even if a status was given
         if (this._concealDeadResources && conceal) {
@@ -269,9 +524,8 @@ class PostgresCrudService {
                 if (criteria[this.statusField]) {
 
                     // Composite both status requirements together
-                    where.push(`"${this.statusField}" = $${args.length+1} AND "${this.statusField}" != $${args.length+2}`);
-                    args.push(criteria[this.statusField]);
-                    args.push(this._deletedStatus);
+                    const status = sql.id(this.statusField);
+                    where.push(sql`${status} = ${criteria[this.statusField]} AND ${status} != ${this._deletedStatus}`);
 
                     // Remove the original status filter from criteria
                     delete criteria[this.statusField];
@@ -286,122 +540,118 @@ class PostgresCrudService {
             }
         }
 
-        // Build the query where args
-        this._buildCriteria(criteria || {}, where, args);
+        // Build the query where clause
+        this._buildCriteria(criteria || {}, where);
 
         // Build the fields clause
-        let fieldsSql = mode === PostgresCrudService._QUERY_MODE.COUNT ? 'COUNT(*) AS count' : '*';
+        let fieldsSql = sql.raw(mode === PostgresCrudService._QUERY_MODE.COUNT ? 'COUNT(*) AS count' : '*');
         if (typeof fields !== "undefined") {
             if (fields && typeof fields.id === "undefined") {
                 fields.id = 1;
             }
             const allowedFields = Object.keys(fields).filter((field) => fields[field]);
-            fieldsSql = allowedFields.map((field) => `"${field}"`).join(', ');
+            fieldsSql = sql.join(allowedFields.map((field) => sql.id(field)));
         }
 
-        let sql = `SELECT ${fieldsSql} FROM "${this.schema}"."${this.table}"`;
+        let query = sql`SELECT ${fieldsSql} FROM ${this._tableId(options)}`;
 
         // Attach the where clause
-        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        if (where.length > 0) query = sql`${query} WHERE ${sql.join(where, ' AND ')}`;
 
         // Attach order by clause
         if (sort !== undefined) {
-            sql += ' ORDER BY ' + Object.keys(sort).map((field) => {
-                return `"${field}" ${sort[field] > 0 ? 'ASC' : 'DESC'}`
-            });
+            query = sql`${query} ORDER BY ${sql.join(Object.keys(sort).map((field) => {
+                return sql`${sql.id(field)} ${sql.raw(sort[field] > 0 ? 'ASC' : 'DESC')}`;
+            }))}`;
         }
 
         // Attach limit clause
         if (typeof skip !== "undefined") {
-            sql += ` OFFSET $${args.length+1}`;
-            args.push(skip);
+            query = sql`${query} OFFSET ${skip}`;
         }
 
         if (typeof limit !== "undefined") {
-            sql += ` LIMIT $${args.length+1}`;
-            args.push(limit);
+            query = sql`${query} LIMIT ${limit}`;
         }
 
-        return this.service.query(
-            sql,
-            args,
-            { client }
+        // Hand back the plan instead of the rows
+        if (explain) {
+            return this.service.explain(query, Object.assign({ client, outsideTransaction, readOnly, timeoutMs, signal }, explain === true ? {} : explain));
+        }
+
+        return this._cached(cacheKey, options, () => this.service.query(
+            query,
+            { client, outsideTransaction, readOnly, timeoutMs, signal }
         )
             .then(res => res.rows)
-        ;
+        );
     }
 
     /**
      * Converts object criteria into a WHERE query clause parts
-     * @param criteria
-     * @param where
-     * @param args
-     * @param equality
+     * @param {*} criteria – Filter criteria
+     * @param {[SqlFragment]} where – Clause parts to append to
+     * @param {boolean} [equality] – False to negate the criteria
      * @private
      */
-    _buildCriteria(criteria, where, args, equality = true) {
+    _buildCriteria(criteria, where, equality = true) {
         // For each field present in the criteria
         Object.keys(criteria).forEach(async (field) => {
+            const column = sql.id(field);
+            const param = value => this._param(field, value);
             const value = criteria[field];
 
             // Handle special types of values
             if (Array.isArray(value)) {
                 // Arrays turn to WHERE IN ...
-                where.push(`"${field}" ${!equality ? 'NOT ' : ''}IN (${value.map(val => { args.push(val); return '$'+args.length; }).join(', ')})`);
+                where.push(sql`${column} ${sql.raw(!equality ? 'NOT ' : '')}IN (${sql.join(value.map(param))})`);
             } else if (typeof value === 'object' && value !== null && !(value instanceof Date) && !Buffer.isBuffer(value)) {
                 // Value is an object, try to keep some similarity here between mongo
                 const startingWhereLength = where.length;
 
                 // { field: { $ne: value } }
                 if (value.$ne) {
-                    this._buildCriteria({ [field]: value.$ne }, where, args, false);
+                    this._buildCriteria({ [field]: value.$ne }, where, false);
                 }
 
                 // { field: { $gt: value } }
                 if (value.$gt) {
-                    where.push(`"${field}" > $${args.length+1}`);
-                    args.push(value.$gt);
+                    where.push(sql`${column} > ${param(value.$gt)}`);
                 }
 
                 // { field: { $gte: value } }
                 if (value.$gte) {
-                    where.push(`"${field}" >= $${args.length+1}`);
-                    args.push(value.$gte);
+                    where.push(sql`${column} >= ${param(value.$gte)}`);
                 }
 
                 // { field: { $lt: value } }
                 if (value.$lt) {
-                    where.push(`"${field}" < $${args.length+1}`);
-                    args.push(value.$lt);
+                    where.push(sql`${column} < ${param(value.$lt)}`);
                 }
 
                 // { field: { $lte: value } }
                 if (value.$lte) {
-                    where.push(`"${field}" <= $${args.length+1}`);
-                    args.push(value.$lte);
+                    where.push(sql`${column} <= ${param(value.$lte)}`);
                 }
 
                 // case-insensitive equals
                 // { field: { $eqi: value } }
                 if (value.$eqi) {
-                    where.push(`LOWER("${field}") = LOWER($${args.length+1})`);
-                    args.push(value.$eqi);
+                    where.push(sql`LOWER(${column}) = LOWER(${param(value.$eqi)})`);
                 }
 
                 // case-insensitive not-equals
                 // { field: { $nei: value } }
                 if (value.$nei) {
-                    where.push(`LOWER("${field}") != LOWER($${args.length+1})`);
-                    args.push(value.$nei);
+                    where.push(sql`LOWER(${column}) != LOWER(${param(value.$nei)})`);
                 }
 
                 if (startingWhereLength === where.length) {
-                    await this.app.report('PostgresCrudService: No object modifier set on object query criteria', { field, value });
+                    await this.app.report('PostgresCrudService: No object modifier set on object query criteria', { field, value: this._redactDoc({ [field]: value })[field] });
                 }
             } else {
                 // Standard value
-                where.push(`"${field}" ${!equality ? '!' : ''}= $${args.length+1}`);
-                args.push(value);
+                where.push(sql`${column} ${sql.raw(!equality ? '!' : '')}= ${param(value)}`);
             }
         });
     }
@@ -409,7 +659,7 @@ class PostgresCrudService {
     /**
      * Performs a find-based query but is optimized to only return the count of matching records, not the records themselves
      * @param {*} criteria - Filter criteria
-     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [exec]:boolean}} [options] - Query options
+     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [exec]:boolean, [readOnly]:boolean, [timeoutMs]:number, [signal]:AbortSignal, [explain]:boolean|*}} [options] - Query options
      * @return {*}
      */
     count(criteria, options={}) {
@@ -420,6 +670,9 @@ class PostgresCrudService {
         delete options.sort;
         delete options.fields;
 
+        // Plans come back as they are
+        if (options.explain) return this.find(criteria, options);
+
         // Exec the count query
         return this.find(criteria, options)
             .then(rows => {
@@ -452,9 +705,9 @@ class PostgresCrudService {
      * @param [data] - Data to apply to the row before saving
      * @param [options] – Query options
      */
-    update(doc, data, options={}) {
+    async update(doc, data, options={}) {
 
-        const { client } = options;
+        const { client, outsideTransaction } = options;
 
         // Apply any given key updates, if given
         this._applyUpdates(doc, data);
@@ -464,29 +717,25 @@ class PostgresCrudService {
 
         // Make sure we know what we are updating!
         if (doc[this.idField] === undefined) {
-            this.app.report('PostgresCrudService: Cannot update row if id field not provided!', { doc, data, idField: this.idField })
+            this.app.report('PostgresCrudService: Cannot update row if id field not provided!', { doc: this._redactDoc(doc), data: this._redactDoc(data), idField: this.idField })
             return Promise.reject(new Error('PostgresCrudService: Cannot update row if id field not provided'));
         } else {
 
             // Remove the id field from the query so we're not randomly setting id=id in there
-            const args = [];
             const setData = Object.assign({}, doc);
             delete setData[this.idField];
-            const sets = Object.keys(setData).map((field) => {
-                args.push(setData[field]);
-                return `"${field}" = $${args.length}`;
-            });
-
+            const sets = Object.keys(setData).map((field) => sql`${sql.id(field)} = ${this._param(field, setData[field])}`);
 
-            let sql = `UPDATE "${this.schema}"."${this.table}" SET ${sets.join(', ')} WHERE "${this.idField}" = $${args.length+1} RETURNING *`;
-            args.push(doc[this.idField]);
+            const query = sql`UPDATE ${this._tableId(options)} SET ${sql.join(sets)} WHERE ${sql.id(this.idField)} = ${doc[this.idField]} RETURNING *`;
 
             return this.service.query(
-                sql,
-                args,
-                { client }
+                query,
+                { client, outsideTransaction, prepare: true }
             )
-                .then(res => res.rows[0])
+                .then(async res => {
+                    await this._invalidateCache(options);
+                    return res.rows[0];
+                })
             ;
         }
     }
@@ -495,10 +744,10 @@ class PostgresCrudService {
      * Updates all records that match the given criteria with the given properties
      * @param {*} criteria – Query criteria (just like _find)
      * @param {*} data – Column-value properties to set on each matched record
-     * @param {{client:*, conceal:boolean}} [options] – Additional options
+     * @param {{client:*, conceal:boolean, timeoutMs:number?, signal:AbortSignal?}} [options] – Additional options
      */
-    bulkUpdate(criteria, data, options={}) {
-        const { client, conceal = true } = (options || {});
+    async bulkUpdate(criteria, data, options={}) {
+        const { client, outsideTransaction, conceal = true, timeoutMs, signal } = (options || {});
 
         // Normalize criteria
         criteria = criteria || {};
@@ -506,16 +755,12 @@ class PostgresCrudService {
         // Automatically bump updated time on matched records if configured to do so
         if (this.updatedField) data[this.updatedField] = new Date();
 
-        const args = [];
         const setData = Object.assign({}, data);
         delete setData[this.idField];
 
-        const sets = Object.keys(setData).map((field) => {
-            args.push(setData[field]);
-            return `"${field}" = $${args.length}`;
-        });
+        const sets = Object.keys(setData).map((field) => sql`${sql.id(field)} = ${this._param(field, setData[field])}`);
 
-        let sql = `UPDATE "${this.schema}"."${this.table}" SET ${sets.join(', ')}`;
+        let query = sql`UPDATE ${this._tableId(options)} SET ${sql.join(sets)}`;
 
         let where = [];
 
@@ -526,9 +771,8 @@ class PostgresCrudService {
             if (criteria[this.statusField]) {
 
                 // Composite both status requirements together
-                where.push(`"${this.statusField}" = $${args.length+1} AND "${this.statusField}" != $${args.length+2}`);
-                args.push(criteria[this.statusField]);
-                args.push(this._deletedStatus);
+                const status = sql.id(this.statusField);
+                where.push(sql`${status} = ${criteria[this.statusField]} AND ${status} != ${this._deletedStatus}`);
 
                 // Remove the original status filter from criteria
                 delete criteria[this.statusField];
@@ -540,14 +784,18 @@ class PostgresCrudService {
         }
 
         // Add criteria to query
-        this._buildCriteria(criteria, where, args);
-        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        this._buildCriteria(criteria, where);
+        if (where.length > 0) query = sql`${query} WHERE ${sql.join(where, ' AND ')}`;
 
         return this.service.query(
-            sql,
-            args,
-            { client }
-        );
+            query,
+            { client, outsideTransaction, timeoutMs, signal }
+        )
+            .then(async res => {
+                await this._invalidateCache(options);
+                return res;
+            })
+        ;
     }
 
     /**
@@ -574,23 +822,26 @@ class PostgresCrudService {
      * @param {*} doc - row to delete
      * @param {*} [options] - Query options
      */
-    deletePermanently(doc, options={}) {
-        const { client } = options;
+    async deletePermanently(doc, options={}) {
+        const { client, outsideTransaction } = options;
 
         // Make sure we know what we are deleting!
         if (doc[this.idField] === undefined) {
-            this.app.report('PostgresCrudService: Cannot delete row if id field not provided!', { doc, idField: this.idField });
+            this.app.report('PostgresCrudService: Cannot delete row if id field not provided!', { doc: this._redactDoc(doc), idField: this.idField });
             return Promise.reject(new Error('PostgresCrudService: Cannot delete row if id field not provided'));
         } else {
 
-            let sql = `DELETE FROM "${this.schema}"."${this.table}" WHERE "${this.idField}" = $1 RETURNING *`;
-            let args = [doc[this.idField]];
+            const query = sql`DELETE FROM ${this._tableId(options)} WHERE ${sql.id(this.idField)} = ${doc[this.idField]} RETURNING *`;
 
             return this.service.query(
-                sql,
-                args,
-                { client }
-            );
+                query,
+                { client, outsideTransaction, prepare: true }
+            )
+                .then(async res => {
+                    await this._invalidateCache(options);
+                    return res;
+                })
+            ;
         }
     }
 
@@ -599,15 +850,14 @@ class PostgresCrudService {
      * @param {*} criteria – Query criteria (just like _find)
      * @param {{conceal:boolean}} [options] – Additional options
      */
-    bulkDeletePermanently(criteria, options={}) {
+    async bulkDeletePermanently(criteria, options={}) {
 
-        const { client, conceal=true } = options;
+        const { client, outsideTransaction, conceal=true } = options;
 
         // Normalize criteria
         criteria = criteria || {};
 
-        let sql = `DELETE FROM "${this.schema}"."${this.table}"`;
-        let args = [];
+        let query = sql`DELETE FROM ${this._tableId(options)}`;
         let where = [];
 
         // Actively prevent dead resources from updating, even if a status was given
@@ -617,9 +867,8 @@ class PostgresCrudService {
             if (criteria[this.statusField]) {
 
                 // Composite both status requirements together
-                where.push(`"${this.statusField}" = $1 AND "${this.statusField}" != $2`);
-                args.push(criteria[this.statusField]);
-                args.push(this._deletedStatus);
+                const status = sql.id(this.statusField);
+                where.push(sql`${status} = ${criteria[this.statusField]} AND ${status} != ${this._deletedStatus}`);
 
                 // Remove the original status filter from criteria
                 delete criteria[this.statusField];
@@ -631,14 +880,141 @@ class PostgresCrudService {
         }
 
         // Add criteria to query
-        this._buildCriteria(criteria, where, args);
-        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        this._buildCriteria(criteria, where);
+        if (where.length > 0) query = sql`${query} WHERE ${sql.join(where, ' AND ')}`;
 
         return this.service.query(
-            sql,
-            args,
-            { client }
-        );
+            query,
+            { client, outsideTransaction }
+        )
+            .then(async res => {
+                await this._invalidateCache(options);
+                return res;
+            })
+        ;
+    }
+
+    /**
+     * Gets a read result from the cache, or loads and caches it. Reads within a transaction skip the cache, since
+     * they may see uncommitted changes.
+     * @param {string} key – Identifies the result within the table, e.g. the method name and its serialized arguments
+     * @param {{client:*?, outsideTransaction:boolean?, cache:boolean|{ttlMs:number?}?, tenant:string?}} options – Query options
+     * @param {function():Promise<*>} load – Loads the result from the database
+     * @returns {Promise<*>}
+     * @protected
+     */
+    async _cached(key, options, load) {
+        const callOptions = options.cache;
+        const inTransaction = !!options.client || (!options.outsideTransaction && !!this.service.currentTransaction());
+        if (!this._cache || callOptions === false || inTransaction) return load();
+
+        // Criteria can hold redacted values, so they're hashed before they go anywhere – logs, reports or the store
+        const { store } = this._cache;
+        const namespace = this._getCacheNamespace(options);
+        key = namespace + Crypto.createHash('sha256').update(key).digest('hex');
+
+        let value;
+        try {
+            value = await store.get(key);
+        } catch (err) {
+            await this.app.report('PostgresCrudService: Failed to read from cache', err, { key });
+        }
+
+        if (value !== undefined) {
+            debug('Cache hit: %s', key);
+        } else {
+            // A write that invalidated the namespace while loading may have changed the rows read, so they're not kept
+            const generation = this._cacheGenerations.get(namespace);
+            value = await load();
+            if (this._cacheGenerations.get(namespace) !== generation) {
+                debug('Not caching results loaded across an invalidation: %s', key);
+            } else {
+                const ttlMs = (callOptions && callOptions.ttlMs) || this._cache.ttlMs;
+                try {
+                    await store.set(key, value, ttlMs);
+                } catch (err) {
+                    await this.app.report('PostgresCrudService: Failed to write to cache', err, { key });
+                }
+            }
+        }
+
+        // Callers are free to modify what they get back, so don't hand out what's cached
+        return Array.isArray(value) ? value.map(copyRow) : copyRow(value);
+    }
+
+    /**
+     * Drops every cached result of the table, after it was written to. Within a transaction, readers outside of it can
+     * still cache the old rows until it commits, so the results are dropped again when it does.
+     * @param {{client:*?, outsideTransaction:boolean?, tenant:string?}} [options] – Query options
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _invalidateCache(options={}) {
+        if (!this._cache) return;
+        const namespace = this._getCacheNamespace(options);
+        await this._clearCache(namespace);
+
+        const tx = this.service._getQueryTransaction(options);
+        if (tx) {
+            // Once per transaction is plenty, no matter how many writes it makes
+            const pending = this._pendingInvalidations.get(tx) || new Set();
+            this._pendingInvalidations.set(tx, pending);
+            if (!pending.has(namespace)) {
+                pending.add(namespace);
+                tx.afterCommit(() => this._clearCache(namespace));
+            }
+        }
+    }
+
+    /**
+     * Drops the cached results under the given namespace
+     * @param {string} namespace – Cache key prefix
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _clearCache(namespace) {
+        debug('Invalidating cache: %s', namespace);
+        this._cacheGenerations.set(namespace, (this._cacheGenerations.get(namespace) || 0) + 1);
+        try {
+            await this._cache.store.clear(namespace);
+        } catch (err) {
+            await this.app.report('PostgresCrudService: Failed to invalidate cache', err, { namespace });
+        }
+    }
+
+    /**
+     * Gets the prefix of the table's cache keys
+     * @param {{tenant:string?}} [options] – Query options
+     * @returns {string}
+     * @private
+     */
+    _getCacheNamespace(options) {
+        return `${JSON.stringify([this._getSchema(options), this.table])}:`;
+    }
+
+    /**
+     * Gets the schema the table lives in. In tenant-aware mode, this is the schema of `options.tenant`, or of the
+     * service's current tenant.
+     * @param {{tenant:string?}} [options] – Query options
+     * @returns {string}
+     * @protected
+     */
+    _getSchema(options) {
+        if (!this.tenantAware) return this.schema;
+
+        const { tenant = this.service.currentTenant() } = options || {};
+        if (tenant === null) throw new Error('PostgresCrudService: A tenant is required, pass `options.tenant` or use service.withTenant');
+        return this.tenantSchema(tenant);
+    }
+
+    /**
+     * Gets the quoted, schema-qualified table identifier
+     * @param {{tenant:string?}} [options] – Query options
+     * @returns {SqlFragment}
+     * @protected
+     */
+    _tableId(options) {
+        return sql.id(this._getSchema(options), this.table);
     }
 }
 
@@ -654,4 +1030,29 @@ PostgresCrudService._QUERY_MODE = {
 // I hope you don't really need to do this
 PostgresCrudService.MAX_VALUE = Number.MAX_VALUE;
 
+/**
+ * Serializes a value to JSON with object keys sorted, so equivalent criteria give the same cache key
+ * @param {*} value – Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+    return JSON.stringify(value, (key, val) => {
+        if (typeof val === 'bigint') return `${val}n`;
+        if (!val || typeof val !== 'object' || Array.isArray(val)) return val;
+        return Object.keys(val).sort().reduce((sorted, k) => {
+            sorted[k] = val[k];
+            return sorted;
+        }, {});
+    });
+}
+
+/**
+ * Shallow copies a row, so changes to it don't leak into the cache
+ * @param {*} row – Row, or another result value
+ * @returns {*}
+ */
+function copyRow(row) {
+    return row && typeof row === 'object' ? Object.assign({}, row) : row;
+}
+
 module.exports = PostgresCrudService;
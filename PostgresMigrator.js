@@ -0,0 +1,298 @@
+"use strict";
+
+const debug = require('debug')('pg:migrate');
+const Crypto = require('crypto');
+const FS = require('fs').promises;
+const Path = require('path');
+const sql = require('./sql');
+
+/**
+ * Applies and rolls back versioned schema migrations, keeping track of what ran in a bookkeeping table
+ */
+class PostgresMigrator {
+
+    /**
+     * Constructor
+     * @param {PostgresService} service – Service to run migrations with
+     * @param {{migrations:[*]|string, schema:string?, table:string?, scope:string?, context:*?, lockTimeoutMs:number?}} options – Migrator options
+     */
+    constructor(service, options={}) {
+
+        /**
+         * Underlying postgres service instance
+         * @type {PostgresService}
+         */
+        this.service = service;
+
+        /**
+         * Migration objects in the order they apply, or the directory to load them from
+         * @type {[{id:string, up:function, down:function?, checksum:string?}]|string}
+         */
+        this.migrations = options.migrations;
+
+        /**
+         * Schema the bookkeeping table lives in
+         * @type {string}
+         */
+        this.schema = options.schema || 'public';
+
+        /**
+         * Name of the bookkeeping table
+         * @type {string}
+         */
+        this.table = options.table || 'schema_migrations';
+
+        /**
+         * Separates sets of migrations that share a bookkeeping table
+         * @type {string}
+         */
+        this.scope = options.scope || 'default';
+
+        /**
+         * Passed to every migration's up and down functions
+         * @type {*}
+         */
+        this.context = options.context || {};
+
+        /**
+         * How long to wait for another process to finish migrating, in milliseconds. Waits indefinitely if not set.
+         * @type {number|undefined}
+         */
+        this.lockTimeoutMs = options.lockTimeoutMs;
+
+        if (!this.migrations || (typeof this.migrations !== 'string' && !Array.isArray(this.migrations))) {
+            throw new Error('PostgresMigrator: `migrations` must be an array of migrations or a directory path');
+        }
+
+        /**
+         * Loaded and validated migrations
+         * @type {Promise<[{id:string, up:function, down:function?, checksum:string}]>|null}
+         * @private
+         */
+        this._loaded = null;
+    }
+
+    /**
+     * Applies all pending migrations, each in its own transaction
+     * @returns {Promise<[string]>} – Ids of the migrations that were applied
+     */
+    async up() {
+        const migrations = await this._load();
+        return this._withLock(async (client) => {
+            const applied = await this._getApplied(client);
+            this._assertNoDrift(migrations, applied);
+
+            const pending = migrations.filter(migration => !applied.has(migration.id));
+            debug('%d of %d migration(s) pending in %s', pending.length, migrations.length, this.scope);
+
+            const done = [];
+            for (const migration of pending) {
+                await this._run(migration, 'up', client);
+                done.push(migration.id);
+            }
+            return done;
+        });
+    }
+
+    /**
+     * Rolls back the most recently applied migrations, each in its own transaction
+     * @param {{steps:number?}} [options] – How many migrations to roll back. Defaults to 1.
+     * @returns {Promise<[string]>} – Ids of the migrations that were rolled back
+     */
+    async down(options={}) {
+        const { steps = 1 } = options;
+        if (!(Number.isInteger(steps) && steps > 0)) throw new Error('PostgresMigrator: steps must be a positive integer');
+
+        const migrations = await this._load();
+        return this._withLock(async (client) => {
+            const applied = await this._getApplied(client);
+            this._assertNoDrift(migrations, applied);
+
+            const missing = [...applied.keys()].filter(id => !migrations.some(migration => migration.id === id));
+            if (missing.length) throw new Error(`PostgresMigrator: Applied migration(s) not found: ${missing.join(', ')}`);
+
+            const targets = migrations.filter(migration => applied.has(migration.id)).reverse().slice(0, steps);
+            const done = [];
+            for (const migration of targets) {
+                if (typeof migration.down !== 'function') throw new Error(`PostgresMigrator: Migration ${migration.id} cannot be rolled back, it has no down function`);
+                await this._run(migration, 'down', client);
+                done.push(migration.id);
+            }
+            return done;
+        });
+    }
+
+    /**
+     * Lists known and applied migrations
+     * @returns {Promise<[{id:string, applied:boolean, appliedAt:Date|null, checksum:string|null, appliedChecksum:string|null, drift:boolean, missing:boolean}]>}
+     */
+    async status() {
+        const migrations = await this._load();
+        const applied = await this._getApplied();
+
+        const res = migrations.map(migration => {
+            const row = applied.get(migration.id);
+            return {
+                id: migration.id,
+                applied: !!row,
+                appliedAt: row ? row.applied_at : null,
+                checksum: migration.checksum,
+                appliedChecksum: row ? row.checksum : null,
+                drift: !!row && row.checksum !== migration.checksum,
+                missing: false
+            };
+        });
+
+        // Applied, but no longer around
+        for (const row of applied.values()) {
+            if (migrations.some(migration => migration.id === row.id)) continue;
+            res.push({ id: row.id, applied: true, appliedAt: row.applied_at, checksum: null, appliedChecksum: row.checksum, drift: false, missing: true });
+        }
+        return res;
+    }
+
+    /**
+     * Loads and validates the migrations, once
+     * @returns {Promise<[{id:string, up:function, down:function?, checksum:string}]>}
+     * @private
+     */
+    _load() {
+        if (!this._loaded) {
+            this._loaded = (typeof this.migrations === 'string' ? loadDirectory(this.migrations) : Promise.resolve(this.migrations.map(normalizeMigration)))
+                .then(migrations => {
+                    const ids = new Set();
+                    for (const migration of migrations) {
+                        if (ids.has(migration.id)) throw new Error(`PostgresMigrator: Duplicate migration id: ${migration.id}`);
+                        ids.add(migration.id);
+                    }
+                    return migrations;
+                })
+                .catch(err => {
+                    this._loaded = null;
+                    throw err;
+                });
+        }
+        return this._loaded;
+    }
+
+    /**
+     * Creates the bookkeeping table if needed and runs the given function while holding the migration lock
+     * @param {function(Client):Promise<*>} fn – Work to do while holding the lock
+     * @returns {Promise<*>}
+     * @private
+     */
+    _withLock(fn) {
+        const lockKey = `okanjo-app-pg:migrations:${this.schema}.${this.table}`;
+        return this.service.withAdvisoryLock(lockKey, async (client) => {
+            await this._createTable(client);
+            return fn(client);
+        }, { timeoutMs: this.lockTimeoutMs });
+    }
+
+    /**
+     * Creates the bookkeeping schema and table if they do not exist
+     * @param {Client} client – Active client
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _createTable(client) {
+        await this.service.query(sql`CREATE SCHEMA IF NOT EXISTS ${sql.id(this.schema)}`, { client });
+        await this.service.query(sql`
+            CREATE TABLE IF NOT EXISTS ${sql.id(this.schema, this.table)} (
+              "scope" varchar(255) NOT NULL,
+              "id" varchar(255) NOT NULL,
+              "checksum" varchar(64) NOT NULL,
+              "applied_at" timestamptz NOT NULL DEFAULT now(),
+              PRIMARY KEY ("scope", "id")
+            )`, { client });
+    }
+
+    /**
+     * Gets the applied migrations of this scope
+     * @param {Client} [client] – Active client
+     * @returns {Promise<Map<string, {id:string, checksum:string, applied_at:Date}>>}
+     * @private
+     */
+    async _getApplied(client) {
+        const exists = await this.service.query(sql`SELECT 1 FROM pg_catalog.pg_tables WHERE schemaname = ${this.schema} AND tablename = ${this.table}`, { client });
+        if (!exists.rowCount) return new Map();
+
+        const res = await this.service.query(sql`SELECT "id", "checksum", "applied_at" FROM ${sql.id(this.schema, this.table)} WHERE "scope" = ${this.scope} ORDER BY "applied_at", "id"`, { client });
+        return new Map(res.rows.map(row => [row.id, row]));
+    }
+
+    /**
+     * Throws if an applied migration was edited since it ran
+     * @param {[{id:string, checksum:string}]} migrations – Known migrations
+     * @param {Map<string, {checksum:string}>} applied – Applied migrations by id
+     * @private
+     */
+    _assertNoDrift(migrations, applied) {
+        const changed = migrations.filter(migration => applied.has(migration.id) && applied.get(migration.id).checksum !== migration.checksum);
+        if (changed.length) {
+            throw new Error(`PostgresMigrator: Applied migration(s) have changed since they ran: ${changed.map(migration => migration.id).join(', ')}`);
+        }
+    }
+
+    /**
+     * Runs one direction of a migration and records it, in a transaction on the client holding the migration lock
+     * @param {{id:string, up:function, down:function?, checksum:string}} migration – Migration to run
+     * @param {string} direction – up or down
+     * @param {Client} client – Client holding the migration lock
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _run(migration, direction, client) {
+        debug('Migrating %s %s: %s', this.scope, direction, migration.id);
+        const table = sql.id(this.schema, this.table);
+        try {
+            await this.service.transaction(async (tx) => {
+                await migration[direction](tx, this.context);
+                if (direction === 'up') {
+                    await tx.query(sql`INSERT INTO ${table} ("scope", "id", "checksum") VALUES (${this.scope}, ${migration.id}, ${migration.checksum})`);
+                } else {
+                    await tx.query(sql`DELETE FROM ${table} WHERE "scope" = ${this.scope} AND "id" = ${migration.id}`);
+                }
+            }, { client });
+        } catch (err) {
+            await this.service.app.report('PostgresMigrator: Migration failed', err, { scope: this.scope, id: migration.id, direction });
+            throw err;
+        }
+    }
+}
+
+/**
+ * Validates a migration object and fills in its checksum
+ * @param {{id:string, up:function, down:function?, checksum:string?}} migration – Migration object
+ * @param {string} [source] – File contents the migration was loaded from, used for the checksum
+ * @returns {{id:string, up:function, down:function?, checksum:string}}
+ */
+function normalizeMigration(migration, source) {
+    if (!migration || typeof migration.id !== 'string' || !migration.id) throw new Error('PostgresMigrator: Migrations must have a string `id`');
+    if (typeof migration.up !== 'function') throw new Error(`PostgresMigrator: Migration ${migration.id} must have an up function`);
+
+    let checksum = migration.checksum;
+    if (!checksum) {
+        if (typeof source !== 'string') source = String(migration.up) + String(migration.down);
+        checksum = Crypto.createHash('sha256').update(source).digest('hex');
+    }
+    return { id: migration.id, up: migration.up, down: migration.down, checksum };
+}
+
+/**
+ * Loads migration files from a directory, in file name order. The file name, sans extension, is the migration id.
+ * @param {string} dir – Directory path
+ * @returns {Promise<[{id:string, up:function, down:function?, checksum:string}]>}
+ */
+async function loadDirectory(dir) {
+    const files = (await FS.readdir(dir)).filter(file => /\.c?js$/.test(file)).sort();
+    const migrations = [];
+    for (const file of files) {
+        const path = Path.resolve(dir, file);
+        const source = await FS.readFile(path, 'utf8');
+        migrations.push(normalizeMigration(Object.assign({ id: file.replace(/\.c?js$/, '') }, require(path)), source));
+    }
+    return migrations;
+}
+
+module.exports = PostgresMigrator;
@@ -1,13 +1,26 @@
 "use strict";
 
 const debug = require('debug')('pg');
-const { Pool } = require('pg')
+const EventEmitter = require('events');
+const { Pool, Client, types: pgTypes } = require('pg')
+const { prepareValue } = require('pg/lib/utils');
+const CopyStreams = require('pg-copy-streams');
+const { Readable, PassThrough, pipeline } = require('stream');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const Crypto = require('crypto');
+const PostgresTransaction = require('./PostgresTransaction');
+const sql = require('./sql');
+const { SqlFragment } = sql;
+const { PostgresError, QueryCanceledError, LockNotAcquiredError } = require('./errors');
 
 
+const pipelineAsync = promisify(pipeline);
+
 /**
  * Postgres Database service
  */
-class PostgresService {
+class PostgresService extends EventEmitter {
 
     /**
      * Constructor
@@ -15,6 +28,7 @@ class PostgresService {
      * @param {Object} config
      */
     constructor(app, config) {
+        super();
         this.app = app;
         this.config = config;
 
@@ -23,16 +37,212 @@ class PostgresService {
             throw new Error('PostgresService: `config` must be defined on initialization!');
         }
 
+        /**
+         * Clients that are currently running a managed transaction
+         * @type {WeakMap<Client, PostgresTransaction>}
+         * @private
+         */
+        this._activeTransactions = new WeakMap();
+
+        /**
+         * Transaction the current async context is running in, so queries can join it without being given its client
+         * @type {AsyncLocalStorage<PostgresTransaction>}
+         * @private
+         */
+        this._transactionContext = new AsyncLocalStorage();
+
+        /**
+         * Tenant the current async context is working for, see withTenant
+         * @type {AsyncLocalStorage<string>}
+         * @private
+         */
+        this._tenantContext = new AsyncLocalStorage();
+
+        /**
+         * Replica pools that are out of rotation, and when they may be tried again
+         * @type {Map<Pool, number>}
+         * @private
+         */
+        this._unhealthyReplicas = new Map();
+
+        /**
+         * Round-robin position for replica selection
+         * @type {number}
+         * @private
+         */
+        this._nextReplica = 0;
+
+        /**
+         * Replica pool each replica client was checked out from
+         * @type {WeakMap<Client, Pool>}
+         * @private
+         */
+        this._replicaClients = new WeakMap();
+
+        /**
+         * Notification handlers by channel
+         * @type {Map<string, Set<{handler:function, json:boolean}>>}
+         * @private
+         */
+        this._subscriptions = new Map();
+
+        /**
+         * Dedicated (non-pooled) client that holds the LISTEN registrations, once connected
+         * @type {Client|null}
+         * @private
+         */
+        this._listener = null;
+
+        /**
+         * Pending listener connection
+         * @type {Promise<Client>|null}
+         * @private
+         */
+        this._listenerConnecting = null;
+
+        /**
+         * Pending listener reconnect timer
+         * @private
+         */
+        this._listenerReconnectTimer = null;
+
+        /**
+         * Whether the listener is being shut down on purpose
+         * @type {boolean}
+         * @private
+         */
+        this._listenerClosing = false;
+
+        /**
+         * Number of cursors opened, used to generate unique cursor names
+         * @type {number}
+         * @private
+         */
+        this._cursorCount = 0;
+
+        /**
+         * Prepared statements by client, each a map of query text to statement name in least-recently-used order
+         * @type {WeakMap<Client, Map<string, string>>}
+         * @private
+         */
+        this._preparedStatements = new WeakMap();
+
+        /**
+         * Clients that have had their session initialized
+         * @type {WeakSet<Client>}
+         * @private
+         */
+        this._initializedClients = new WeakSet();
+
+        /**
+         * Number of statements prepared, used to generate unique statement names
+         * @type {number}
+         * @private
+         */
+        this._statementCount = 0;
+
+        /**
+         * Cumulative query counters since connect
+         * @type {{queries: number, errors: number, connectedAt: Date|null}}
+         * @private
+         */
+        this._stats = { queries: 0, errors: 0, connectedAt: null };
+
         app.registerServiceConnector(async () => this.connect());
     }
 
     /**
-     * Connects to the Postgres database, and initializes the connection pool
+     * Connects to the Postgres database, and initializes the connection pool. Unless disabled, the primary server is
+     * checked before resolving, retrying as configured, and rejects once retries run out.
      */
     async connect() {
-        // Luckily, all we have to do here is define the pool
+        const { primary, replicas = [], verifyConnection = true } = this.config;
+
         debug('Starting connection pool');
-        this.pool = new Pool(this.config);
+        this.pool = this._createPool(primary || this.config);
+
+        debug('Starting %d replica connection pool(s)', replicas.length);
+        this.replicas = replicas.map(config => this._createPool(config, true));
+        this._unhealthyReplicas.clear();
+        this._listenerClosing = false;
+        this._stats = { queries: 0, errors: 0, connectedAt: new Date() };
+
+        // Replicas are left to fall out of rotation on their own, so only the primary has to be up
+        if (verifyConnection) await this._verifyConnection();
+    }
+
+    /**
+     * Checks out a client from the primary pool and runs a trivial query, retrying with exponential backoff
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _verifyConnection() {
+        const { maxAttempts, baseDelayMs, maxDelayMs, maxWaitMs } = this._getConnectRetryOptions(this.config.connectRetry);
+        const startedAt = Date.now();
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const client = await this._acquire(this.pool);
+                let releaseErr;
+                try {
+                    await client.query('SELECT 1');
+                } catch (err) {
+                    releaseErr = err;
+                    throw err;
+                } finally {
+                    client.release(releaseErr);
+                }
+                debug('Connected on attempt %d', attempt);
+                return;
+            } catch (err) {
+                const delayMs = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+                const giveUp = attempt >= maxAttempts || (Date.now() - startedAt) + delayMs > maxWaitMs;
+                await this.app.report('PostgresService: Failed to connect', err, { attempt, retryInMs: giveUp ? null : delayMs });
+
+                if (giveUp) {
+                    throw new Error(`PostgresService: Could not connect after ${attempt} attempt(s): ${err.message}`, { cause: err });
+                }
+
+                debug('Connect attempt %d failed, retrying in %dms', attempt, delayMs);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    /**
+     * Normalizes connect retry options
+     * @param {boolean|*} [retry] – Retry options, `true` for defaults
+     * @returns {{maxAttempts:number, baseDelayMs:number, maxDelayMs:number, maxWaitMs:number}}
+     * @private
+     */
+    _getConnectRetryOptions(retry) {
+        if (!retry) return { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0, maxWaitMs: Infinity };
+        const { maxAttempts = Infinity, baseDelayMs = 250, maxDelayMs = 5000, maxWaitMs = 30000 } = (retry === true ? {} : retry);
+        return { maxAttempts, baseDelayMs, maxDelayMs, maxWaitMs };
+    }
+
+    /**
+     * Creates a connection pool and forwards its events
+     * @param {*} config – Pool configuration
+     * @param {boolean} [replica] – Whether the pool connects to a replica
+     * @returns {Pool}
+     * @private
+     */
+    _createPool(config, replica=false) {
+        // Type parsers are handed to the pool's clients rather than registered globally with pg
+        const types = config.types || this.config.types;
+        const pool = new Pool(types ? Object.assign({}, config, { types: createTypeParsers(types) }) : config);
+        pool.on('connect', client => this.emit('pool:connect', client, pool));
+        pool.on('error', (err, client) => {
+            // Idle clients that error out are removed by the pool, but the server may be going away
+            this.emit('pool:error', err, client, pool);
+            if (replica) {
+                this._markReplicaUnhealthy(pool, err);
+            } else {
+                this.app.report('PostgresService: Idle client error', err);
+            }
+        });
+        return pool;
     }
 
     /**
@@ -40,20 +250,34 @@ class PostgresService {
      * @returns {Promise<void>}
      */
     async close() {
+        await this._closeListener();
+
         debug('Closing connection pool');
         if (this.pool) await this.pool.end();
+        if (this.replicas) await Promise.all(this.replicas.map(pool => pool.end()));
     }
 
     /**
      * Issues a SQL query with parameterized arguments.
-     * @param {string} sql – Query string
-     * @param {[*]} [args] – Query argument values
-     * @param {{client:*?, suppress:number?}} [options] – Query functionality options
+     * @param {string|SqlFragment} sql – Query string, or a fragment built with the `sql` tagged template
+     * @param {[*]} [args] – Query argument values (may be omitted when given a fragment)
+     * @param {{client:*?, outsideTransaction:boolean?, suppress:RegExp|function|string|[*]?, readOnly:boolean?, timeoutMs:number?, signal:AbortSignal?, prepare:boolean?, redact:boolean|[number]?}} [options] – Query functionality options
      * @returns {Promise<*>}
      */
     query(sql, args=[], options={}) { // eslint-disable-line no-unused-vars
+        ({ sql, args, options } = this._resolveQuery(sql, args, options));
         return new Promise((resolve, reject) => {
-            let { client, suppress } = options;
+            let { suppress, readOnly, timeoutMs, signal, prepare } = options;
+            const client = this._getQueryClient(options);
+
+            if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+                return reject(new Error('PostgresService: timeoutMs must be a positive integer'));
+            }
+
+            // Don't bother with a query that was canceled before it started
+            if (signal && signal.aborted) {
+                return reject(new QueryCanceledError('PostgresService: Query aborted', QueryCanceledError.REASONS.ABORTED));
+            }
 
             // if a session was given, resolve it otherwise fetch a new session from the pool
             let resolveConnection;
@@ -63,28 +287,53 @@ class PostgresService {
                 resolveConnection = Promise.resolve(client);
             } else {
                 debug('Getting a client from the pool');
-                resolveConnection = this.getConnection();
+                resolveConnection = this.getConnection({ readOnly });
                 releaseClientOnFinish = true;
             }
 
+            // Only masked arguments leave this method, be it in logs, events, reports or errors
+            const redaction = this._getRedaction(options);
+            const loggedArgs = this._redactArgs(args, redaction);
+            const reportedOptions = this._getReportedOptions(options);
+
             resolveConnection
                 .then(client => {
                     // execute the query
-                    debug('Executing query:\n%s\nArguments:\n%O', sql, args);
-                    return client.query(sql, args)
-                        .then(res => {
-                            // debug('Query completed');
-                            debug('Query completed: %O', res);
+                    debug('Executing query:\n%s\nArguments:\n%O', sql, loggedArgs);
+                    this.emit('query:start', { sql, args: loggedArgs });
+                    const start = process.hrtime.bigint();
+                    const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+                    // Stale prepared statements are only safe to retry outside of a transaction, i.e. on our own client
+                    return this._execute(client, sql, args, { timeoutMs, signal, prepare, retryStale: releaseClientOnFinish })
+                        .then(async res => {
+                            // Rows stay out of the logs, since they may hold anything
+                            const durationMs = elapsed();
+                            debug('Query completed in %dms', durationMs);
+                            this._stats.queries++;
+                            this.emit('query:end', { sql, args: loggedArgs, durationMs, rowCount: res.rowCount });
+                            await this._checkSlowQuery(sql, args, durationMs, client, releaseClientOnFinish);
 
                             // handle the response of the query
                             if (releaseClientOnFinish) client.release();
                             return resolve(res);
                         })
                         .catch(async err => {
-                            // Report error if not suppressed
-                            if (!suppress || !(suppress instanceof RegExp) || !suppress.test(err.message)) {
+                            err = PostgresError.from(err);
+                            if (redaction) this._redactError(err, args, redaction);
+                            this._stats.queries++;
+                            this._stats.errors++;
+                            this.emit('query:error', { sql, args: loggedArgs, durationMs: elapsed(), error: err });
+
+                            // Take a replica out of rotation if it dropped out from under us
+                            const replica = this._replicaClients.get(client);
+                            if (replica && this._isConnectionError(err)) await this._markReplicaUnhealthy(replica, err);
+
+                            // Report error if not suppressed (or canceled by the caller)
+                            const aborted = err instanceof QueryCanceledError && err.reason === QueryCanceledError.REASONS.ABORTED;
+                            if (!this._isSuppressed(err, suppress) && !aborted && !this._isRetryPending(client, err)) {
                                 debug('Query failed');
-                                await this.app.report('PostgresService: Failed to execute query', err, { sql: sql, args: args, options: options });
+                                await this.app.report('PostgresService: Failed to execute query', err, { sql: sql, args: loggedArgs, options: reportedOptions });
                             }
 
                             if (releaseClientOnFinish) client.release();
@@ -92,7 +341,8 @@ class PostgresService {
                         })
                     ;
                 }, /* istanbul ignore next: oos */ err => {
-                    this.app.report('PostgresService: Failed to acquire query client', err, { sql: sql, args: args, options: options });
+                    err = PostgresError.from(err);
+                    this.app.report('PostgresService: Failed to acquire query client', err, { sql: sql, args: loggedArgs, options: reportedOptions });
                     return reject(err);
                 })
             ;
@@ -100,12 +350,1626 @@ class PostgresService {
     }
 
     /**
-     * Gets a fresh client from the pool - MAKE SURE TO RELEASE IT WHEN FINISHED!
-     * @returns {Promise<Client>}
+     * Runs several queries on a single client, saving a pool checkout per query. The client still sends each query
+     * only after the previous one completes, so it costs as many round trips as running them one by one. Statements
+     * with a `timeoutMs` or `signal` change session settings while they run, so those run on their own.
+     * @param {[{sql:string|SqlFragment, args:[*]?, options:*?}|SqlFragment]} statements – Queries to run, with their own query options
+     * @param {{transactional:boolean?, client:*?, outsideTransaction:boolean?, readOnly:boolean?}} [options] – Batch options
+     * @returns {Promise<[*]>} – Transactional: the results, in order, or rejects with the first error after rolling back.
+     *   Otherwise: the outcome of each statement, in order, as `{status:'fulfilled', value}` or `{status:'rejected', reason}`.
+     */
+    async batch(statements, options={}) {
+        if (!Array.isArray(statements)) throw new Error('PostgresService: batch expects an array of statements');
+        const { transactional = false, readOnly } = options;
+        const suppliedClient = this._getQueryClient(options);
+
+        if (transactional) {
+            const run = async (client) => {
+                const outcomes = await this._runBatch(client, statements, true);
+                const failed = outcomes.find(outcome => outcome.status === 'rejected');
+                if (failed) throw failed.reason;
+                return outcomes.map(outcome => outcome.value);
+            };
+
+            return this._runInTransaction(suppliedClient, run);
+        }
+
+        const client = suppliedClient || await this.getConnection({ readOnly });
+        try {
+            return await this._runBatch(client, statements, false);
+        } finally {
+            if (!suppliedClient) client.release();
+        }
+    }
+
+    /**
+     * Runs the function in a transaction of its own. Within a managed transaction, that's a savepoint, so only the
+     * function's work is undone on failure. A bare client gets a BEGIN and COMMIT, and no client one from the pool.
+     * @param {Client} [client] – Client to run on, if any
+     * @param {function(Client):Promise<*>} fn – Unit of work
+     * @returns {Promise<*>} – Resolves the value the function returned
+     * @private
+     */
+    async _runInTransaction(client, fn) {
+        if (!client) return this.transaction(tx => fn(tx.client));
+
+        const tx = this._getQueryTransaction({ client });
+        if (tx) return tx.transaction(() => fn(client));
+
+        await this.query('BEGIN', [], { client });
+        let res;
+        try {
+            res = await fn(client);
+        } catch (err) {
+            await this.query('ROLLBACK', [], { client });
+            throw err;
+        }
+        await this.query('COMMIT', [], { client });
+        return res;
+    }
+
+    /**
+     * Gets the execution plan of a query
+     * @param {string|SqlFragment} sql – Query string, or a fragment built with the `sql` tagged template
+     * @param {[*]} [args] – Query argument values (may be omitted when given a fragment)
+     * @param {{analyze:boolean?, buffers:boolean?, verbose:boolean?, format:string?, client:*?, outsideTransaction:boolean?, readOnly:boolean?, timeoutMs:number?, signal:AbortSignal?}} [options] – Explain and query options
+     * @returns {Promise<*>} – The parsed plan in json format, otherwise the plan text
+     */
+    async explain(sql, args=[], options={}) {
+        ({ sql, args, options } = this._resolveQuery(sql, args, options));
+        const { analyze = false, buffers = false, verbose = false, format = 'json' } = options;
+        if (!PostgresService.EXPLAIN_FORMATS.includes(format)) {
+            throw new Error(`PostgresService: Unknown explain format: ${format}. Use one of: ${PostgresService.EXPLAIN_FORMATS.join(', ')}`);
+        }
+
+        const text = `EXPLAIN (${getExplainOptions({ analyze, buffers, verbose, format })}) ${sql}`;
+        const queryOptions = Object.assign({}, options);
+        ['analyze', 'buffers', 'verbose', 'format'].forEach(key => delete queryOptions[key]);
+
+        if (!analyze) return parsePlan(await this.query(text, args, queryOptions), format);
+
+        // ANALYZE runs the statement for real, so roll back anything it changed
+        let res;
+        try {
+            await this._runInTransaction(this._getQueryClient(queryOptions), async (client) => {
+                res = await this.query(text, args, Object.assign({}, queryOptions, { client }));
+                throw ROLLBACK;
+            });
+        } catch (err) {
+            if (err !== ROLLBACK) throw err;
+        }
+        return parsePlan(res, format);
+    }
+
+    /**
+     * Queues a batch of statements on the client and collects their outcomes
+     * @param {Client} client – Client to run on
+     * @param {[*]} statements – Statements, as given to batch
+     * @param {boolean} transactional – Whether the batch runs in a transaction, which a failure aborts
+     * @returns {Promise<[{status:string, value:*?, reason:Error?}]>}
+     * @private
+     */
+    async _runBatch(client, statements, transactional) {
+        statements = statements.map((statement, i) => {
+            if (statement instanceof SqlFragment) return { sql: statement };
+            if (!statement || !statement.sql) throw new Error(`PostgresService: Batch statement ${i} has no sql`);
+            return statement;
+        });
+
+        debug('Running batch of %d statement(s)', statements.length);
+        const outcomes = new Array(statements.length);
+        let pending = [];
+        let failed = false;
+
+        for (let i = 0; i < statements.length; i++) {
+            let { sql, args = [], options = {} } = statements[i];
+            if (sql instanceof SqlFragment) ({ sql, args, options } = this._resolveQuery(sql, args, options));
+            options = Object.assign({}, options, { client });
+
+            // Once the transaction is aborted, the rest fail with in_failed_sql_transaction, which is just noise
+            if (transactional) options.suppress = [].concat(options.suppress || [], '25P02');
+
+            const isolated = options.timeoutMs !== undefined || !!options.signal;
+            if (isolated || (transactional && failed)) {
+                await Promise.all(pending);
+                pending = [];
+            }
+            if (transactional && failed) break;
+
+            const run = this.query(sql, args, options).then(
+                value => { outcomes[i] = { status: 'fulfilled', value }; },
+                reason => { outcomes[i] = { status: 'rejected', reason }; failed = true; }
+            );
+            pending.push(run);
+            if (isolated) {
+                await run;
+                pending = [];
+            }
+        }
+
+        await Promise.all(pending);
+        return outcomes.filter(Boolean);
+    }
+
+    /**
+     * Gets the client a query should run on: the one given, or that of the transaction the caller is running in.
+     * Returns nothing when the query should take a client from the pool.
+     * @param {{client:*?, outsideTransaction:boolean?}} options – Query functionality options
+     * @returns {Client|undefined}
+     * @private
+     */
+    _getQueryClient(options) {
+        if (options.client) return options.client;
+        if (options.outsideTransaction) return undefined;
+        const tx = this.currentTransaction();
+        return tx ? tx.client : undefined;
+    }
+
+    /**
+     * Gets the managed transaction a query would run in: that of the client given, or the one the caller is running in
+     * @param {{client:*?, outsideTransaction:boolean?}} options – Query functionality options
+     * @returns {PostgresTransaction|null}
+     * @private
+     */
+    _getQueryTransaction(options) {
+        const client = this._getQueryClient(options);
+        if (!client) return null;
+
+        const current = this.currentTransaction();
+        return current && current.client === client ? current : (this._activeTransactions.get(client) || null);
+    }
+
+    /**
+     * Gets the transaction the caller is running in, i.e. when called (directly or not) from a `transaction()`
+     * function. Queries without a client join this transaction automatically.
+     * @returns {PostgresTransaction|null}
+     */
+    currentTransaction() {
+        const tx = this._transactionContext.getStore();
+        if (!tx) return null;
+
+        // Callbacks scheduled during a transaction can outlive it, so make sure it's still running
+        let root = tx;
+        while (root.parent) root = root.parent;
+        return this._activeTransactions.get(root.client) === root ? tx : null;
+    }
+
+    /**
+     * Runs the given function on behalf of a tenant. Tenant-aware PostgresCrudService methods called from it (directly
+     * or not) use that tenant's schema, unless given `options.tenant`.
+     * @param {string} tenant – Tenant identifier
+     * @param {function():*} fn – Function to run
+     * @returns {*} – Whatever the function returned
+     */
+    withTenant(tenant, fn) {
+        return this._tenantContext.run(tenant, fn);
+    }
+
+    /**
+     * Gets the tenant the caller is working for, see withTenant
+     * @returns {string|null}
+     */
+    currentTenant() {
+        const tenant = this._tenantContext.getStore();
+        return tenant === undefined ? null : tenant;
+    }
+
+    /**
+     * Whether a query error should go unreported
+     * @param {Error} err – Query error
+     * @param {RegExp|function|string|[*]} [suppress] – Message pattern, error class or SQLSTATE code, or an array of them
+     * @returns {boolean}
+     * @private
+     */
+    _isSuppressed(err, suppress) {
+        if (Array.isArray(suppress)) return suppress.some(item => this._isSuppressed(err, item));
+        if (suppress instanceof RegExp) return suppress.test(err.message);
+        if (typeof suppress === 'function') return err instanceof suppress;
+        if (typeof suppress === 'string') return err.code === suppress;
+        return false;
+    }
+
+    /**
+     * Executes a query on the given client, applying a scoped statement timeout and abort signal when given
+     * @param {Client} client – Client to execute on
+     * @param {string} sql – Query string
+     * @param {[*]} args – Query argument values
+     * @param {{timeoutMs:number?, signal:AbortSignal?, prepare:boolean?, retryStale:boolean?}} options – Execution options
+     * @returns {Promise<*>}
+     * @private
+     */
+    async _execute(client, sql, args, options) {
+        const { timeoutMs, signal } = options;
+        if (timeoutMs === undefined && !signal) return this._executeStatement(client, sql, args, options);
+
+        // Set the timeout for this query only, restoring whatever the session had afterwards
+        let previousTimeout;
+        if (timeoutMs !== undefined) {
+            const [show] = await client.query(`SHOW statement_timeout; SET statement_timeout = ${timeoutMs}`);
+            previousTimeout = show.rows[0].statement_timeout;
+        }
+
+        let canceling = null;
+        const onAbort = () => { canceling = this._cancelBackend(client); };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            if (signal && signal.aborted) throw new QueryCanceledError('PostgresService: Query aborted', QueryCanceledError.REASONS.ABORTED);
+            return await this._executeStatement(client, sql, args, options);
+        } catch (err) {
+            if (err instanceof QueryCanceledError || err.code !== '57014') throw err;
+            if (signal && signal.aborted) {
+                // The cancel already landed, so there's no need to hold on to the client until it's acknowledged
+                canceling = null;
+                throw new QueryCanceledError('PostgresService: Query aborted', QueryCanceledError.REASONS.ABORTED, err);
+            }
+            if (timeoutMs !== undefined) throw new QueryCanceledError(`PostgresService: Query timed out after ${timeoutMs}ms`, QueryCanceledError.REASONS.TIMEOUT, err);
+            throw err;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+
+            // The statement finished before the cancel landed. Let it land before moving on, so it can't hit the next statement.
+            if (canceling) await canceling;
+
+            if (timeoutMs !== undefined) {
+                try {
+                    await client.query(`SELECT set_config('statement_timeout', $1, false)`, [previousTimeout]);
+                } catch (err) {
+                    // Fails when the query aborted the transaction, in which case rolling back restores the timeout
+                    debug('Failed to restore statement_timeout: %s', err.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Executes a query on the given client, as a named prepared statement if asked to and the cache is enabled
+     * @param {Client} client – Client to execute on
+     * @param {string} sql – Query string
+     * @param {[*]} args – Query argument values
+     * @param {{prepare:boolean?, retryStale:boolean?}} options – Execution options
+     * @returns {Promise<*>}
+     * @private
+     */
+    async _executeStatement(client, sql, args, options) {
+        const { prepare, retryStale } = options;
+        if (!prepare || !this._getStatementCacheSize()) return client.query(sql, args);
+
+        const name = await this._prepareStatement(client, sql);
+        try {
+            return await client.query({ name, text: sql, values: args });
+        } catch (err) {
+            if (!this._isStaleStatementError(err)) throw err;
+
+            // The schema changed underneath the statement (or it went missing), so prepare it again next time
+            debug('Prepared statement %s is stale', name);
+            await this._deallocateStatement(client, sql);
+            if (!retryStale) throw err;
+            return this._executeStatement(client, sql, args, { prepare, retryStale: false });
+        }
+    }
+
+    /**
+     * Gets the name of the prepared statement for the given query text on the client, making room in the cache for
+     * a new one if needed. The statement itself is prepared by the client the first time it runs.
+     * @param {Client} client – Client the statement belongs to
+     * @param {string} sql – Query text
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _prepareStatement(client, sql) {
+        let statements = this._preparedStatements.get(client);
+        if (!statements) {
+            statements = new Map();
+            this._preparedStatements.set(client, statements);
+        }
+
+        let name = statements.get(sql);
+        if (name) {
+            // Move to the back of the line
+            statements.delete(sql);
+            statements.set(sql, name);
+            return name;
+        }
+
+        // Evict the least recently used statements
+        while (statements.size >= this._getStatementCacheSize()) {
+            await this._deallocateStatement(client, statements.keys().next().value);
+        }
+
+        name = `okanjo_stmt_${++this._statementCount}`;
+        statements.set(sql, name);
+        return name;
+    }
+
+    /**
+     * Drops the prepared statement for the given query text from the client's cache and the server
+     * @param {Client} client – Client the statement belongs to
+     * @param {string} sql – Query text
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deallocateStatement(client, sql) {
+        const statements = this._preparedStatements.get(client);
+        const name = statements && statements.get(sql);
+        if (!name) return;
+        statements.delete(sql);
+
+        // The client tracks which statements it has parsed – skip the server if it never got there
+        const parsed = client.connection.parsedStatements;
+        if (!parsed[name]) return;
+        delete parsed[name];
+
+        debug('Deallocating prepared statement %s', name);
+        try {
+            await client.query(`DEALLOCATE ${quoteIdentifier(name)}`);
+        } catch (err) {
+            // Fails in an aborted transaction. Names are never reused, so the statement is just left for the connection to clean up.
+            debug('Failed to deallocate prepared statement %s: %s', name, err.message);
+        }
+    }
+
+    /**
+     * Gets the maximum number of prepared statements to keep per connection
+     * @returns {number}
+     * @private
+     */
+    _getStatementCacheSize() {
+        const { statementCacheSize = 100 } = this.config;
+        return statementCacheSize;
+    }
+
+    /**
+     * Whether the error means a prepared statement can no longer be used as-is
+     * @param {Error} err – Query error
+     * @returns {boolean}
+     * @private
+     */
+    _isStaleStatementError(err) {
+        // 0A000 is a plan invalidated by a schema change, 26000 is a statement that no longer exists (e.g. DISCARD ALL)
+        return (err.code === '0A000' && /cached plan must not change result type/.test(err.message)) || err.code === '26000';
+    }
+
+    /**
+     * Cancels whatever statement is running on the given client, using a separate connection to the same server.
+     * The connection is made outside the pool, so canceling still works when every pooled client is busy.
+     * @param {Client} client – Client to cancel
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _cancelBackend(client) {
+        const pool = this._replicaClients.get(client) || this.pool;
+        debug('Canceling query on backend %d', client.processID);
+        const canceler = new Client(pool.options);
+        try {
+            await canceler.connect();
+            await canceler.query('SELECT pg_cancel_backend($1)', [client.processID]);
+        } catch (err) {
+            await this.app.report('PostgresService: Failed to cancel query', err, { processID: client.processID });
+        } finally {
+            await canceler.end().catch(/* istanbul ignore next: oos */ () => {});
+        }
+    }
+
+    /**
+     * Reports the query if it took longer than the configured slow query threshold, with its plan if configured to
+     * @param {string} sql – Query string
+     * @param {[*]} args – Query argument values
+     * @param {number} durationMs – How long the query took
+     * @param {Client} client – Client the query ran on
+     * @param {boolean} ownClient – Whether the client came from the pool for this query alone, rather than the caller
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkSlowQuery(sql, args, durationMs, client, ownClient) {
+        const { slowQueryThresholdMs, explainSlowQueries } = this.config;
+        if (slowQueryThresholdMs !== undefined && durationMs >= slowQueryThresholdMs) {
+            debug('Slow query took %dms', durationMs);
+            const meta = { sql, args: this._redactArgs(args), durationMs, thresholdMs: slowQueryThresholdMs };
+
+            // Plain EXPLAIN only plans the query, so it's cheap and doesn't run it again. That holds for the first
+            // statement only, so queries holding several are left alone. Plans quote argument values as literals,
+            // which would undo their masking, and a failure on the caller's client could abort their transaction.
+            const explainable = explainSlowQueries && ownClient && !(args && args.length) && EXPLAINABLE_QUERY.test(sql) && isSingleStatement(sql);
+            if (explainable) {
+                try {
+                    meta.plan = parsePlan(await this._execute(client, `EXPLAIN (FORMAT JSON) ${sql}`, args, {}), 'json');
+                } catch (err) {
+                    debug('Failed to explain slow query: %s', err.message);
+                }
+            }
+            await this.app.report('PostgresService: Slow query', meta);
+        }
+    }
+
+    /**
+     * Masks argument values so they can be reported without leaking data
+     * @param {[*]} args – Query argument values
+     * @param {boolean|[number]} [redact] – `true` to mask every value, or the positions of the values to mask
+     * @returns {[*]}
+     * @private
+     */
+    _redactArgs(args, redact=true) {
+        if (!redact) return args;
+        return (args || []).map((value, i) => {
+            if (value === null || value === undefined || (redact !== true && !redact.includes(i))) return value;
+            return PostgresService.REDACTED;
+        });
+    }
+
+    /**
+     * Masks what the server said about redacted values in an error and the errors that caused it. The detail message
+     * can quote any value (e.g. the key that collided), so it goes entirely. The message, context and internal query
+     * can quote the value they choked on, so redacted values are masked wherever they appear.
+     * @param {Error} err – Query error
+     * @param {[*]} args – Query argument values
+     * @param {boolean|[number]} redact – `true` to mask every value, or the positions of the values to mask
+     * @private
+     */
+    _redactError(err, args, redact) {
+        // Whole values only, so a short one like `a` doesn't take bites out of the words around it
+        const patterns = getRedactedTexts(args, redact).map(value => new RegExp(`(?<![A-Za-z0-9_])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z0-9_])`, 'g'));
+        const scrub = text => patterns.reduce((text, pattern) => text.replace(pattern, PostgresService.REDACTED), text);
+
+        for (let cause = err; cause && typeof cause === 'object'; cause = cause.cause) {
+            if (cause.detail !== undefined && cause.detail !== null) cause.detail = PostgresService.REDACTED;
+            for (const field of ['message', 'where', 'internalQuery', 'stack']) {
+                if (typeof cause[field] === 'string') cause[field] = scrub(cause[field]);
+            }
+        }
+    }
+
+    /**
+     * Gets which argument values of a query to mask, per the service's redaction policy and the query options
+     * @param {*} options – Query functionality options
+     * @returns {boolean|[number]}
+     * @private
+     */
+    _getRedaction(options) {
+        const { all = false } = this.config.redact || {};
+        return all || options.redact || false;
+    }
+
+    /**
+     * Gets the query options that are safe to report. The client is left out, since it can't be serialized and
+     * holds connection details.
+     * @param {*} options – Query functionality options
+     * @returns {*}
+     * @private
+     */
+    _getReportedOptions(options) {
+        const reported = Object.assign({}, options);
+        delete reported.client;
+        return reported;
+    }
+
+    /**
+     * Whether values of the given column should be masked
+     * @param {string} column – Column name
+     * @param {[string|RegExp]} [columns] – Column names or patterns to mask, defaults to the service's redaction policy
+     * @returns {boolean}
+     */
+    isRedactedColumn(column, columns) {
+        if (!columns) ({ columns = PostgresService.REDACTED_COLUMNS } = this.config.redact || {});
+        return columns.some(match => match instanceof RegExp ? match.test(column) : String(match).toLowerCase() === String(column).toLowerCase());
+    }
+
+    /**
+     * Streams the rows of a query using a server-side cursor, so the result set is never buffered in full.
+     *
+     * Unless a client is given (or the caller is running in a transaction), the cursor runs in a transaction on a
+     * dedicated client, which is released when iteration finishes, is stopped early, or fails.
+     *
+     * @param {string|SqlFragment} sql – Query string, or a fragment built with the `sql` tagged template
+     * @param {[*]} [args] – Query argument values (may be omitted when given a fragment)
+     * @param {{client:*?, outsideTransaction:boolean?, suppress:number?, readOnly:boolean?, batchSize:number?}} [options] – Query functionality options
+     * @returns {AsyncGenerator<*>} – Async iterator of rows
+     */
+    async *stream(sql, args=[], options={}) {
+        ({ sql, args, options } = this._resolveQuery(sql, args, options));
+        const { batchSize = 100, readOnly } = options;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error('PostgresService: `batchSize` must be a positive integer');
+        }
+
+        const suppliedClient = this._getQueryClient(options);
+        const ownClient = !suppliedClient;
+        const client = suppliedClient || await this.getConnection({ readOnly });
+        const queryOptions = Object.assign({}, options, { client });
+        const cursor = `okanjo_cursor_${++this._cursorCount}`;
+
+        let finished = false, releaseErr;
+        try {
+            // Cursors only live as long as the transaction they were declared in
+            if (ownClient) await this.query('BEGIN', [], queryOptions);
+
+            debug('Declaring cursor %s', cursor);
+            await this.query(`DECLARE ${cursor} NO SCROLL CURSOR FOR ${sql}`, args, queryOptions);
+
+            let res;
+            do {
+                res = await this.query(`FETCH ${batchSize} FROM ${cursor}`, [], queryOptions);
+                for (const row of res.rows) yield row;
+            } while (res.rows.length >= batchSize);
+
+            await this.query(`CLOSE ${cursor}`, [], queryOptions);
+            if (ownClient) await this.query('COMMIT', [], queryOptions);
+            finished = true;
+
+        } finally {
+            if (!finished) {
+                // Stopped early or failed, so clean up after ourselves
+                debug('Abandoning cursor %s', cursor);
+                const cleanup = ownClient ? 'ROLLBACK' : `CLOSE ${cursor}`;
+                await client.query(cleanup).catch(err => {
+                    // Don't put a client with a busted transaction back into the pool
+                    releaseErr = err;
+                });
+            }
+            if (ownClient) client.release(releaseErr);
+        }
+    }
+
+    /**
+     * Bulk loads rows into a table using COPY FROM STDIN
+     * @param {string|[string]} table – Table name, e.g. `schema.table` or `[schema, table]`
+     * @param {[string]|null} columns – Columns to load, in order. Defaults to the keys of the first row, or all table columns.
+     * @param {Readable|[*]} source – Readable stream of COPY data, or an array of rows (arrays or objects)
+     * @param {{format:string?, header:boolean?, client:*?, outsideTransaction:boolean?}} [options] – Copy options
+     * @returns {Promise<{rowCount:number}>}
+     */
+    async copyFrom(table, columns, source, options={}) {
+        const { format = 'text', header } = options;
+        const suppliedClient = this._getQueryClient(options);
+
+        if (Array.isArray(source)) {
+            if (format === 'binary') throw new Error('PostgresService: Rows can only be copied in csv or text format, use a stream for binary');
+            if (!columns && source.length && !Array.isArray(source[0])) columns = Object.keys(source[0]);
+            source = Readable.from(encodeCopyRows(source, columns, format));
+        }
+
+        const columnsSql = columns && columns.length ? ` (${columns.map(quoteIdentifier).join(', ')})` : '';
+        const sql = `COPY ${quoteTableName(table)}${columnsSql} FROM STDIN WITH (${this._getCopyOptions(format, header)})`;
+
+        const client = suppliedClient || await this.getConnection();
+        try {
+            debug('Copying rows:\n%s', sql);
+            const stream = client.query(CopyStreams.from(sql));
+            await pipelineAsync(source, stream);
+            debug('Copied %d rows', stream.rowCount);
+            return { rowCount: stream.rowCount };
+        } catch (driverErr) {
+            const err = PostgresError.from(driverErr);
+            await this.app.report('PostgresService: Failed to copy rows', err, { sql, format });
+            throw err;
+        } finally {
+            if (!suppliedClient) client.release();
+        }
+    }
+
+    /**
+     * Bulk exports a table or query using COPY TO STDOUT
+     * @param {string|[string]} sqlOrTable – Table name (e.g. `schema.table` or `[schema, table]`) or a SELECT query
+     * @param {{format:string?, header:boolean?, columns:[string]?, client:*?, outsideTransaction:boolean?}} [options] – Copy options
+     * @returns {Readable} – Stream of COPY data
+     */
+    copyTo(sqlOrTable, options={}) {
+        const { format = 'text', header, columns } = options;
+        const suppliedClient = this._getQueryClient(options);
+        const isQuery = typeof sqlOrTable === 'string' && /\s/.test(sqlOrTable.trim());
+        const columnsSql = !isQuery && columns && columns.length ? ` (${columns.map(quoteIdentifier).join(', ')})` : '';
+        const source = isQuery ? `(${sqlOrTable})` : quoteTableName(sqlOrTable) + columnsSql;
+        const sql = `COPY ${source} TO STDOUT WITH (${this._getCopyOptions(format, header)})`;
+        const output = new PassThrough();
+
+        let client, releaseErr;
+        (async () => {
+            client = suppliedClient || await this.getConnection();
+            debug('Copying out:\n%s', sql);
+            await pipelineAsync(client.query(CopyStreams.to(sql)), output);
+        })()
+            .catch(async err => {
+                // Bailing mid-copy leaves the connection unusable, so don't return it to the pool
+                releaseErr = err;
+                if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    await this.app.report('PostgresService: Failed to copy out', err, { sql, format });
+                }
+                output.destroy(PostgresError.from(err));
+            })
+            .finally(() => {
+                if (client && !suppliedClient) client.release(releaseErr);
+            })
+        ;
+
+        return output;
+    }
+
+    /**
+     * Builds the WITH clause options of a COPY statement
+     * @param {string} format – COPY format (csv, text or binary)
+     * @param {boolean} [header] – Whether CSV data includes a header line
+     * @returns {string}
+     * @private
+     */
+    _getCopyOptions(format, header) {
+        if (!PostgresService.COPY_FORMATS.includes(format)) {
+            throw new Error(`PostgresService: Unknown COPY format: ${format}`);
+        }
+        return `FORMAT ${format}` + (header ? ', HEADER true' : '');
+    }
+
+    /**
+     * Compiles a SQL fragment into query text and arguments. Options may be given in place of arguments.
+     * @param {string|SqlFragment} sql – Query string or fragment
+     * @param {[*]|*} args – Query argument values, or options when given a fragment
+     * @param {*} options – Query functionality options
+     * @returns {{sql: string, args: [*], options: *}}
+     * @private
      */
-    getConnection() {
-        return this.pool.connect()
+    _resolveQuery(sql, args, options) {
+        if (sql instanceof SqlFragment) {
+            if (args && !Array.isArray(args)) options = args;
+            const { text, values, sensitive } = sql.toQuery();
+
+            // Values marked as sensitive are masked along with whatever the caller asked for
+            if (sensitive && options.redact !== true) {
+                options = Object.assign({}, options, { redact: (options.redact || []).concat(sensitive) });
+            }
+            return { sql: text, args: values, options };
+        }
+        return { sql, args, options };
+    }
+
+    /**
+     * Checks whether the primary server is reachable and responsive. Never rejects – an unreachable or unresponsive
+     * server gives an unhealthy result once the timeout elapses.
+     * @param {{timeoutMs:number?}} [options] – Health check options
+     * @returns {Promise<{healthy: boolean, latencyMs: number|null, version: string|null, inRecovery: boolean|null, pool: *, replicas: [*], error: string|null}>}
+     */
+    async healthCheck(options={}) {
+        const { timeoutMs = 5000 } = options;
+        const result = { healthy: false, latencyMs: null, version: null, inRecovery: null, error: null };
+        const start = process.hrtime.bigint();
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`PostgresService: Health check timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+
+        try {
+            const row = await Promise.race([this._checkServer(), timeout]);
+            result.healthy = true;
+            result.latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+            result.version = row.version;
+            result.inRecovery = row.inRecovery;
+        } catch (err) {
+            debug('Health check failed: %s', err.message);
+            result.error = err.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        result.pool = getPoolCounts(this.pool);
+        result.replicas = (this.replicas || []).map(pool => Object.assign(getPoolCounts(pool), {
+            healthy: !this._unhealthyReplicas.has(pool)
+        }));
+        return result;
     }
+
+    /**
+     * Queries the server version and recovery status using a pooled client
+     * @returns {Promise<{version: string, inRecovery: boolean}>}
+     * @private
+     */
+    async _checkServer() {
+        if (!this.pool) throw new Error('PostgresService: Not connected');
+        const client = await this._acquire(this.pool);
+        let releaseErr;
+        try {
+            const res = await client.query(`SELECT current_setting('server_version') AS "version", pg_is_in_recovery() AS "inRecovery"`);
+            return res.rows[0];
+        } catch (err) {
+            releaseErr = err;
+            throw err;
+        } finally {
+            client.release(releaseErr);
+        }
+    }
+
+    /**
+     * Gets cumulative query statistics since the service connected
+     * @returns {{queries: number, errors: number, connectedAt: Date|null}}
+     */
+    stats() {
+        return Object.assign({}, this._stats);
+    }
+
+    /**
+     * Describes a table's columns, primary key, unique constraints, indexes and foreign keys
+     * @param {string} schema – Schema the table is in
+     * @param {string} table – Table name
+     * @param {{client:*?, outsideTransaction:boolean?}} [options] – Query options
+     * @returns {Promise<{schema:string, table:string, columns:[*], primaryKey:[string], uniqueConstraints:[*], indexes:[*], foreignKeys:[*]}|null>} – Null if the table does not exist
+     */
+    async describeTable(schema, table, options={}) {
+        const { client, outsideTransaction } = options;
+        const [columns, constraints, indexes] = await Promise.all([
+            this.query(sql`
+                SELECT "column_name", "data_type", "udt_name", "is_nullable", "column_default", "character_maximum_length"
+                FROM information_schema.columns
+                WHERE "table_schema" = ${schema} AND "table_name" = ${table}
+                ORDER BY "ordinal_position"`, { client, outsideTransaction }),
+            this.query(sql`
+                SELECT con.conname AS "name", con.contype AS "type",
+                  ARRAY(SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord) JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.ord) AS "columns",
+                  fn.nspname AS "ref_schema", fc.relname AS "ref_table",
+                  ARRAY(SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord) JOIN pg_catalog.pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.ord) AS "ref_columns",
+                  con.confupdtype AS "on_update", con.confdeltype AS "on_delete"
+                FROM pg_catalog.pg_constraint con
+                JOIN pg_catalog.pg_class c ON c.oid = con.conrelid
+                JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+                LEFT JOIN pg_catalog.pg_class fc ON fc.oid = con.confrelid
+                LEFT JOIN pg_catalog.pg_namespace fn ON fn.oid = fc.relnamespace
+                WHERE n.nspname = ${schema} AND c.relname = ${table} AND con.contype IN ('p', 'u', 'f')
+                ORDER BY con.conname`, { client, outsideTransaction }),
+            this.query(sql`
+                SELECT i.relname AS "name", ix.indisunique AS "unique", ix.indisprimary AS "primary", am.amname AS "method",
+                  ARRAY(SELECT pg_catalog.pg_get_indexdef(ix.indexrelid, k.ord, true) FROM generate_series(1, ix.indnkeyatts::int) AS k(ord) ORDER BY k.ord) AS "columns",
+                  pg_catalog.pg_get_indexdef(ix.indexrelid) AS "definition"
+                FROM pg_catalog.pg_index ix
+                JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+                JOIN pg_catalog.pg_class c ON c.oid = ix.indrelid
+                JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+                JOIN pg_catalog.pg_am am ON am.oid = i.relam
+                WHERE n.nspname = ${schema} AND c.relname = ${table}
+                ORDER BY i.relname`, { client, outsideTransaction })
+        ]);
+
+        if (!columns.rowCount) return null;
+
+        const primaryKey = constraints.rows.find(row => row.type === 'p');
+        return {
+            schema,
+            table,
+            columns: columns.rows.map(row => ({
+                name: row.column_name,
+                type: row.data_type,
+                udtName: row.udt_name,
+                nullable: row.is_nullable === 'YES',
+                default: row.column_default,
+                maxLength: row.character_maximum_length
+            })),
+            primaryKey: primaryKey ? primaryKey.columns : [],
+            uniqueConstraints: constraints.rows.filter(row => row.type === 'u').map(row => ({ name: row.name, columns: row.columns })),
+            indexes: indexes.rows.map(row => ({
+                name: row.name,
+                columns: row.columns,
+                unique: row.unique,
+                primary: row.primary,
+                method: row.method,
+                definition: row.definition
+            })),
+            foreignKeys: constraints.rows.filter(row => row.type === 'f').map(row => ({
+                name: row.name,
+                columns: row.columns,
+                references: { schema: row.ref_schema, table: row.ref_table, columns: row.ref_columns },
+                onUpdate: FOREIGN_KEY_ACTIONS[row.on_update],
+                onDelete: FOREIGN_KEY_ACTIONS[row.on_delete]
+            }))
+        };
+    }
+
+    /**
+     * Gets a fresh client from the pool - MAKE SURE TO RELEASE IT WHEN FINISHED!
+     *
+     * Read-only clients are taken from a healthy replica pool, round-robin, falling back to the primary pool.
+     *
+     * @param {{readOnly:boolean?}} [options] – Connection options
+     * @returns {Promise<Client>}
+     */
+    async getConnection(options={}) {
+        if (options.readOnly) {
+            let replica;
+            while ((replica = this._getReplicaPool())) {
+                try {
+                    const client = await this._acquire(replica);
+                    this._replicaClients.set(client, replica);
+                    if (this._unhealthyReplicas.delete(replica)) debug('Replica recovered, returning it to rotation');
+                    return client;
+                } catch (err) {
+                    await this._markReplicaUnhealthy(replica, err);
+                }
+            }
+            debug('No healthy replicas available, using the primary pool');
+        }
+        return this._acquire(this.pool);
+    }
+
+    /**
+     * Checks out a client from the given pool, emitting acquire and release events
+     * @param {Pool} pool – Pool to check out from
+     * @returns {Promise<Client>}
+     * @private
+     */
+    async _acquire(pool) {
+        const client = await pool.connect();
+
+        // Set up new connections before anyone gets to use them
+        if (!this._initializedClients.has(client)) {
+            try {
+                await this._initializeSession(client);
+            } catch (err) {
+                await this.app.report('PostgresService: Failed to initialize connection', err);
+                client.release(err);
+                throw err;
+            }
+            this._initializedClients.add(client);
+        }
+
+        this.emit('pool:acquire', client, pool);
+
+        // The pool hands out a fresh release function on each checkout
+        const release = client.release;
+        client.release = (err) => {
+            client.release = release;
+            this.emit('pool:release', err, client, pool);
+            return release(err);
+        };
+        return client;
+    }
+
+    /**
+     * Applies the configured session settings to a new connection and runs the onConnect hook
+     * @param {Client} client – Newly connected client
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initializeSession(client) {
+        const { session = {}, onConnect } = this.config;
+
+        const names = Object.keys(session);
+        if (names.length) {
+            debug('Applying session settings: %O', session);
+            await client.query(
+                'SELECT set_config(name, value, false) FROM unnest($1::text[], $2::text[]) AS s(name, value)',
+                [names, names.map(name => String(session[name]))]
+            );
+        }
+
+        if (onConnect) await onConnect(client);
+    }
+
+    /**
+     * Picks the next replica pool in rotation, if any are available
+     * @returns {Pool|null}
+     * @private
+     */
+    _getReplicaPool() {
+        const replicas = this.replicas || [];
+        const now = Date.now();
+        for (let i = 0; i < replicas.length; i++) {
+            const pool = replicas[this._nextReplica++ % replicas.length];
+            const retryAt = this._unhealthyReplicas.get(pool);
+            if (retryAt === undefined || retryAt <= now) return pool;
+        }
+        return null;
+    }
+
+    /**
+     * Takes a replica out of rotation until the retry interval has passed
+     * @param {Pool} pool – Replica pool
+     * @param {Error} err – Error that made the replica unhealthy
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _markReplicaUnhealthy(pool, err) {
+        const { replicaRetryMs = 5000 } = this.config;
+        const alreadyUnhealthy = this._unhealthyReplicas.has(pool);
+        this._unhealthyReplicas.set(pool, Date.now() + replicaRetryMs);
+
+        if (!alreadyUnhealthy) {
+            debug('Replica is unhealthy, removing from rotation for %dms', replicaRetryMs);
+            await this.app.report('PostgresService: Replica unavailable, removing from rotation', err, { replica: this.replicas.indexOf(pool), replicaRetryMs });
+        }
+    }
+
+    /**
+     * Whether the error indicates the connection to the server was lost
+     * @param {Error} err – Query error
+     * @returns {boolean}
+     * @private
+     */
+    _isConnectionError(err) {
+        return /^(08|57P0)/.test(err.code || '') || /Connection terminated/.test(err.message);
+    }
+
+    /**
+     * Subscribes to notifications on the given channel. Notifications are received on a dedicated connection, kept
+     * outside the pool, which is re-established (and every channel re-LISTENed) if it drops.
+     * @param {string} channel – Channel name
+     * @param {function(*, Notification):*} handler – Called with the payload and the raw notification
+     * @param {{json:boolean?}} [options] – Set `json` to parse payloads as JSON before handing them over
+     * @returns {Promise<function():Promise<void>>} – Resolves a function that removes the subscription
+     */
+    async listen(channel, handler, options={}) {
+        let handlers = this._subscriptions.get(channel);
+        if (!handlers) {
+            handlers = new Set();
+            this._subscriptions.set(channel, handlers);
+        }
+        const subscription = { handler, json: !!options.json };
+        handlers.add(subscription);
+
+        try {
+            // A fresh connection LISTENs to every subscribed channel, so only issue it when already connected
+            const connected = !!this._listener;
+            const listener = await this._getListener();
+            if (connected) await this.query(`LISTEN ${listener.escapeIdentifier(channel)}`, [], { client: listener });
+        } catch (err) {
+            handlers.delete(subscription);
+            if (!handlers.size) this._subscriptions.delete(channel);
+            throw err;
+        }
+
+        debug('Listening on channel %s', channel);
+        return () => this.unlisten(channel, handler);
+    }
+
+    /**
+     * Removes a notification subscription
+     * @param {string} channel – Channel name
+     * @param {function} [handler] – Handler to remove. Removes all of the channel's handlers if not given.
+     * @returns {Promise<void>}
+     */
+    async unlisten(channel, handler) {
+        const handlers = this._subscriptions.get(channel);
+        if (!handlers) return;
+
+        for (const subscription of handlers) {
+            if (!handler || subscription.handler === handler) handlers.delete(subscription);
+        }
+
+        if (!handlers.size) {
+            this._subscriptions.delete(channel);
+            if (this._listener) {
+                debug('No longer listening on channel %s', channel);
+                await this.query(`UNLISTEN ${this._listener.escapeIdentifier(channel)}`, [], { client: this._listener });
+            }
+        }
+    }
+
+    /**
+     * Sends a notification on the given channel
+     * @param {string} channel – Channel name
+     * @param {*} [payload] – Payload. Non-string values are sent as JSON.
+     * @param {*} [options] – Query options, e.g. `client` to notify when a transaction commits
+     * @returns {Promise<*>}
+     */
+    notify(channel, payload, options={}) {
+        if (payload === undefined || payload === null) {
+            payload = '';
+        } else if (typeof payload !== 'string') {
+            payload = JSON.stringify(payload);
+        }
+        return this.query('SELECT pg_notify($1, $2)', [channel, payload], options);
+    }
+
+    /**
+     * Gets the listener connection, connecting it if needed
+     * @returns {Promise<Client>}
+     * @private
+     */
+    _getListener() {
+        if (!this._listenerConnecting) {
+            this._listenerConnecting = this._connectListener().catch(err => {
+                this._listenerConnecting = null;
+                throw err;
+            });
+        }
+        return this._listenerConnecting;
+    }
+
+    /**
+     * Connects the listener client and LISTENs to every subscribed channel
+     * @returns {Promise<Client>}
+     * @private
+     */
+    async _connectListener() {
+        debug('Connecting listener');
+        const client = new Client(this.config.primary || this.config);
+        client.on('notification', msg => this._handleNotification(msg));
+        client.on('error', err => this._handleListenerDisconnect(client, err));
+        client.on('end', () => this._handleListenerDisconnect(client));
+
+        try {
+            await client.connect();
+            for (const channel of this._subscriptions.keys()) {
+                await this.query(`LISTEN ${client.escapeIdentifier(channel)}`, [], { client });
+            }
+        } catch (err) {
+            client.end().catch(/* istanbul ignore next: oos */ () => {});
+            throw err;
+        }
+
+        this._listener = client;
+        return client;
+    }
+
+    /**
+     * Dispatches a notification to the channel's handlers
+     * @param {Notification} msg – Notification
+     * @private
+     */
+    _handleNotification(msg) {
+        const handlers = this._subscriptions.get(msg.channel);
+        if (!handlers) return;
+
+        for (const { handler, json } of handlers) {
+            let payload = msg.payload;
+            if (json && payload) {
+                try {
+                    payload = JSON.parse(payload);
+                } catch (err) {
+                    this.app.report('PostgresService: Failed to parse notification payload', err, { channel: msg.channel, payload });
+                    continue;
+                }
+            } else if (json) {
+                payload = null;
+            }
+
+            Promise.resolve()
+                .then(() => handler(payload, msg))
+                .catch(err => this.app.report('PostgresService: Notification handler failed', err, { channel: msg.channel }));
+        }
+    }
+
+    /**
+     * Handles the listener connection going away, and reconnects it unless we're closing
+     * @param {Client} client – Listener client
+     * @param {Error} [err] – Connection error, if any
+     * @private
+     */
+    _handleListenerDisconnect(client, err) {
+        if (client !== this._listener) return;
+        this._listener = null;
+        this._listenerConnecting = null;
+        if (this._listenerClosing) return;
+
+        this.app.report('PostgresService: Listener connection lost', err || new Error('Connection ended'), { channels: Array.from(this._subscriptions.keys()) });
+        this._scheduleListenerReconnect(1);
+    }
+
+    /**
+     * Reconnects the listener after an exponential backoff delay, trying again until it succeeds
+     * @param {number} attempt – Reconnect attempt number
+     * @private
+     */
+    _scheduleListenerReconnect(attempt) {
+        if (this._listenerReconnectTimer || this._listenerClosing) return;
+
+        const { listenerReconnectDelayMs = 250, listenerMaxReconnectDelayMs = 30000 } = this.config;
+        const delayMs = Math.min(listenerMaxReconnectDelayMs, listenerReconnectDelayMs * Math.pow(2, attempt - 1));
+        debug('Reconnecting listener in %dms (attempt %d)', delayMs, attempt);
+
+        this._listenerReconnectTimer = setTimeout(async () => {
+            this._listenerReconnectTimer = null;
+            try {
+                await this._getListener();
+                debug('Listener reconnected');
+            } catch (err) {
+                await this.app.report('PostgresService: Failed to reconnect listener', err, { attempt });
+                this._scheduleListenerReconnect(attempt + 1);
+            }
+        }, delayMs);
+    }
+
+    /**
+     * Shuts down the listener connection and drops all subscriptions
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeListener() {
+        this._listenerClosing = true;
+        this._subscriptions.clear();
+        clearTimeout(this._listenerReconnectTimer);
+        this._listenerReconnectTimer = null;
+
+        const listener = this._listenerConnecting && await this._listenerConnecting.catch(() => null);
+        if (listener) {
+            debug('Closing listener');
+            this._listener = null;
+            this._listenerConnecting = null;
+            await listener.end();
+        }
+    }
+
+    /**
+     * Runs the given function within a transaction on a dedicated client. The transaction is committed when the
+     * function resolves, and rolled back (and the error rethrown) when it rejects. The client is always released.
+     *
+     * Queries made while the function runs join the transaction, even without being given its client.
+     *
+     * When retry is enabled, the whole function is re-run on a fresh transaction if it fails with a serialization
+     * failure or deadlock. Only the final failure is reported.
+     *
+     * Given a client, the transaction runs on it instead of one from the pool, and the client is left for the caller to
+     * release.
+     *
+     * Called within a transaction, the function runs in a savepoint of it instead, unless given a client or
+     * `outsideTransaction`. The outer transaction's isolation and retry settings apply then.
+     *
+     * @param {function(PostgresTransaction):Promise<*>} fn – Unit of work
+     * @param {{isolationLevel:string?, readOnly:boolean?, deferrable:boolean?, retry:boolean|{maxAttempts:number?, baseDelayMs:number?, maxDelayMs:number?, onRetry:function?}, client:Client?, outsideTransaction:boolean?}} [options] – Transaction options
+     * @returns {Promise<*>} – Resolves the value the function returned
+     */
+    async transaction(fn, options={}) {
+        const current = !options.client && !options.outsideTransaction && this.currentTransaction();
+        if (current) return current.transaction(fn);
+
+        const { maxAttempts, baseDelayMs, maxDelayMs, onRetry } = this._getRetryOptions(options.retry);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._runTransaction(fn, options, attempt < maxAttempts);
+            } catch (err) {
+                if (attempt >= maxAttempts || !this._isRetryableError(err)) throw err;
+
+                // Full jitter exponential backoff
+                const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1)));
+                debug('Transaction attempt %d failed with %s, retrying in %dms', attempt, err.code, delayMs);
+
+                if (onRetry) await onRetry(err, { attempt, delayMs });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    /**
+     * Runs a single attempt of a managed transaction
+     * @param {function(PostgresTransaction):Promise<*>} fn – Unit of work
+     * @param {*} options – Transaction options
+     * @param {boolean} retryPending – Whether a retryable failure will be retried (and therefore not reported)
+     * @returns {Promise<*>}
+     * @private
+     */
+    async _runTransaction(fn, options, retryPending) {
+        const begin = this._getBeginStatement(options);
+        const client = options.client || await this.getConnection();
+        const tx = new PostgresTransaction(this, client);
+        tx._retryPending = retryPending;
+        this._activeTransactions.set(client, tx);
+
+        let res, releaseErr;
+        try {
+            debug('Starting transaction: %s', begin);
+            await tx.query(begin);
+            try {
+                res = await this._transactionContext.run(tx, () => fn(tx));
+            } catch (err) {
+                debug('Rolling back transaction');
+                await tx.query('ROLLBACK').catch(/* istanbul ignore next: oos */ rollbackErr => {
+                    // Don't put a client with a busted transaction back into the pool
+                    releaseErr = rollbackErr;
+                });
+                throw err;
+            }
+            debug('Committing transaction');
+            await tx.query('COMMIT');
+        } finally {
+            this._activeTransactions.delete(client);
+            if (!options.client) client.release(releaseErr);
+        }
+
+        // The work is committed, so failures here are only reported
+        for (const fn of tx._afterCommit) {
+            try {
+                await fn();
+            } catch (err) {
+                await this.app.report('PostgresService: After commit function failed', err);
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Normalizes transaction retry options
+     * @param {boolean|*} [retry] – Retry options, `true` for defaults
+     * @returns {{maxAttempts:number, baseDelayMs:number, maxDelayMs:number, onRetry:function?}}
+     * @private
+     */
+    _getRetryOptions(retry) {
+        if (!retry) return { maxAttempts: 1 };
+        const { maxAttempts = 3, baseDelayMs = 20, maxDelayMs = 1000, onRetry } = (retry === true ? {} : retry);
+        return { maxAttempts, baseDelayMs, maxDelayMs, onRetry };
+    }
+
+    /**
+     * Whether the error is a transient transaction failure (serialization failure or deadlock)
+     * @param {Error} err – Error to check
+     * @returns {boolean}
+     * @private
+     */
+    _isRetryableError(err) {
+        return !!err && PostgresService.RETRYABLE_ERROR_CODES.includes(err.code);
+    }
+
+    /**
+     * Whether the error occurred in a managed transaction that will be retried, so it should not be reported
+     * @param {Client} client – Client the query ran on
+     * @param {Error} err – Query error
+     * @returns {boolean}
+     * @private
+     */
+    _isRetryPending(client, err) {
+        const tx = this._activeTransactions.get(client);
+        return !!tx && tx._retryPending && this._isRetryableError(err);
+    }
+
+    /**
+     * Builds the BEGIN statement for the given transaction options
+     * @param {{isolationLevel:string?, readOnly:boolean?, deferrable:boolean?}} options – Transaction options
+     * @returns {string}
+     * @protected
+     */
+    _getBeginStatement(options) {
+        const { isolationLevel, readOnly, deferrable } = options;
+        const modes = [];
+
+        if (isolationLevel) {
+            const level = String(isolationLevel).toUpperCase().replace(/[_\s]+/g, ' ');
+            if (!Object.values(PostgresService.ISOLATION_LEVELS).includes(level)) {
+                throw new Error(`PostgresService: Unknown transaction isolation level: ${isolationLevel}`);
+            }
+            modes.push(`ISOLATION LEVEL ${level}`);
+        }
+
+        if (readOnly !== undefined) modes.push(readOnly ? 'READ ONLY' : 'READ WRITE');
+        if (deferrable !== undefined) modes.push(deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE');
+
+        return modes.length ? `BEGIN ${modes.join(' ')}` : 'BEGIN';
+    }
+
+    /**
+     * Runs the given function while holding a session-level advisory lock on a dedicated client. The lock is always
+     * unlocked and the client released when the function settles.
+     * @param {string|number|bigint} key – Lock key. Strings are hashed to a 64-bit integer.
+     * @param {function(Client):Promise<*>} fn – Work to do while holding the lock
+     * @param {{wait:boolean?, timeoutMs:number?, shared:boolean?}} [options] – Lock options
+     * @returns {Promise<*>} – Resolves the value the function returned
+     */
+    async withAdvisoryLock(key, fn, options={}) {
+        const { shared = false } = options;
+        const lockKey = getAdvisoryLockKey(key);
+        const client = await this.getConnection();
+
+        let releaseErr;
+        try {
+            await this._acquireAdvisoryLock(client, key, options);
+            try {
+                return await fn(client);
+            } finally {
+                debug('Releasing advisory lock %s', lockKey);
+                try {
+                    const res = await client.query(`SELECT pg_advisory_unlock${shared ? '_shared' : ''}(${lockKey}) AS "released"`);
+                    if (!res.rows[0].released) debug('Advisory lock %s was not held', lockKey);
+                } catch (err) {
+                    // Session locks live as long as the connection, so don't give it back to the pool
+                    releaseErr = err;
+                    await this.app.report('PostgresService: Failed to release advisory lock', err, { key });
+                }
+            }
+        } finally {
+            client.release(releaseErr);
+        }
+    }
+
+    /**
+     * Runs the given function within a transaction that holds a transaction-level advisory lock. The lock is released
+     * when the transaction commits or rolls back.
+     * @param {string|number|bigint} key – Lock key. Strings are hashed to a 64-bit integer.
+     * @param {function(PostgresTransaction):Promise<*>} fn – Unit of work
+     * @param {{wait:boolean?, timeoutMs:number?, shared:boolean?}} [options] – Lock and transaction options
+     * @returns {Promise<*>} – Resolves the value the function returned
+     */
+    withAdvisoryXactLock(key, fn, options={}) {
+        return this.transaction(async tx => {
+            await tx.advisoryLock(key, options);
+            return fn(tx);
+        }, options);
+    }
+
+    /**
+     * Takes an advisory lock on the given client
+     * @param {Client} client – Client to lock with
+     * @param {string|number|bigint} key – Lock key
+     * @param {{wait:boolean?, timeoutMs:number?, shared:boolean?, xact:boolean?}} options – Lock options
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _acquireAdvisoryLock(client, key, options) {
+        const { wait = true, timeoutMs, shared = false, xact = false } = options;
+        if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+            throw new Error('PostgresService: timeoutMs must be a positive integer');
+        }
+
+        // The key is always a validated integer, so it's safe to inline
+        const lockKey = getAdvisoryLockKey(key);
+        const lockFunction = `pg_${wait ? '' : 'try_'}advisory_${xact ? 'xact_' : ''}lock${shared ? '_shared' : ''}`;
+        debug('Acquiring advisory lock %s using %s', lockKey, lockFunction);
+
+        let res;
+        try {
+            res = await this._execute(client, `SELECT ${lockFunction}(${lockKey}) AS "acquired"`, [], { timeoutMs: wait ? timeoutMs : undefined });
+        } catch (err) {
+            if (err instanceof QueryCanceledError && err.reason === QueryCanceledError.REASONS.TIMEOUT) {
+                throw new LockNotAcquiredError(`PostgresService: Timed out waiting for advisory lock after ${timeoutMs}ms`, key, err);
+            }
+            await this.app.report('PostgresService: Failed to acquire advisory lock', err, { key });
+            throw err;
+        }
+
+        if (!wait && !res.rows[0].acquired) {
+            throw new LockNotAcquiredError('PostgresService: Advisory lock is held elsewhere', key);
+        }
+    }
+}
+
+/**
+ * Transaction isolation levels
+ * @type {{READ_UNCOMMITTED: string, READ_COMMITTED: string, REPEATABLE_READ: string, SERIALIZABLE: string}}
+ */
+PostgresService.ISOLATION_LEVELS = {
+    READ_UNCOMMITTED: 'READ UNCOMMITTED',
+    READ_COMMITTED: 'READ COMMITTED',
+    REPEATABLE_READ: 'REPEATABLE READ',
+    SERIALIZABLE: 'SERIALIZABLE'
+};
+
+/**
+ * Value that redacted arguments are replaced with
+ * @type {string}
+ */
+PostgresService.REDACTED = '[REDACTED]';
+
+/**
+ * Columns whose values are masked by default – see `config.redact.columns`
+ * @type {[RegExp]}
+ */
+PostgresService.REDACTED_COLUMNS = [/passw(or)?d/i, /secret/i, /token/i, /api_?key/i, /^ssn$/i];
+
+/**
+ * Supported COPY formats
+ * @type {string[]}
+ */
+PostgresService.COPY_FORMATS = ['text', 'csv', 'binary'];
+
+/**
+ * SQLSTATE codes that cause a managed transaction to be retried (serialization_failure, deadlock_detected)
+ * @type {string[]}
+ */
+PostgresService.RETRYABLE_ERROR_CODES = ['40001', '40P01'];
+
+/**
+ * Output formats of service.explain
+ * @type {string[]}
+ */
+PostgresService.EXPLAIN_FORMATS = ['json', 'text', 'xml', 'yaml'];
+
+/**
+ * Thrown to roll back a transaction that otherwise succeeded
+ * @type {symbol}
+ */
+const ROLLBACK = Symbol('rollback');
+
+/**
+ * Statements EXPLAIN accepts
+ * @type {RegExp}
+ */
+const EXPLAINABLE_QUERY = /^\s*(SELECT|INSERT|UPDATE|DELETE|WITH|VALUES|TABLE|MERGE)\b/i;
+
+/**
+ * Foreign key referential actions, by pg_constraint code
+ * @type {Object<string, string>}
+ */
+const FOREIGN_KEY_ACTIONS = {
+    a: 'NO ACTION',
+    r: 'RESTRICT',
+    c: 'CASCADE',
+    n: 'SET NULL',
+    d: 'SET DEFAULT'
+};
+
+/**
+ * Quotes an identifier, e.g. a column name
+ * @param {string} name – Identifier
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+/**
+ * Quotes a (optionally schema-qualified) table name
+ * @param {string|[string]} table – `schema.table` or `[schema, table]`
+ * @returns {string}
+ */
+function quoteTableName(table) {
+    return (Array.isArray(table) ? table : String(table).split('.')).map(quoteIdentifier).join('.');
+}
+
+/**
+ * Encodes a value for COPY text or csv format
+ * @param {*} value – Value to encode
+ * @param {string} format – csv or text
+ * @returns {string}
+ */
+function encodeCopyValue(value, format) {
+    if (value === null || value === undefined) return format === 'csv' ? '' : '\\N';
+
+    // Same conversions the driver applies to query arguments (dates, arrays, json...)
+    const str = Buffer.isBuffer(value) ? '\\x' + value.toString('hex') : String(prepareValue(value));
+
+    if (format === 'csv') {
+        // Empty strings must be quoted, otherwise they'd be NULL
+        return str === '' || /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }
+    return str.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+/**
+ * Encodes rows for COPY text or csv format, one line per row
+ * @param {[*]} rows – Rows (arrays of values, or objects keyed by column)
+ * @param {[string]} columns – Column order for object rows
+ * @param {string} format – csv or text
+ * @returns {Generator<string>}
+ */
+function* encodeCopyRows(rows, columns, format) {
+    const delimiter = format === 'csv' ? ',' : '\t';
+    for (const row of rows) {
+        const values = Array.isArray(row) ? row : columns.map(column => row[column]);
+        yield values.map(value => encodeCopyValue(value, format)).join(delimiter) + '\n';
+    }
+}
+
+/**
+ * Builds the option list of an EXPLAIN statement
+ * @param {{analyze:boolean, buffers:boolean, verbose:boolean, format:string}} options – Explain options
+ * @returns {string}
+ */
+function getExplainOptions(options) {
+    const { analyze, buffers, verbose, format } = options;
+    const list = [`FORMAT ${format.toUpperCase()}`];
+    if (analyze) list.push('ANALYZE');
+    if (buffers) list.push('BUFFERS');
+    if (verbose) list.push('VERBOSE');
+    return list.join(', ');
+}
+
+/**
+ * Gets the plan out of an EXPLAIN result
+ * @param {*} res – Query result
+ * @param {string} format – Explain format
+ * @returns {*} – The plan object for json, otherwise the plan text
+ */
+function parsePlan(res, format) {
+    const plan = res.rows.map(row => row['QUERY PLAN']);
+    if (format !== 'json') return plan.join('\n');
+
+    // json may be configured to come back as text
+    const [parsed] = typeof plan[0] === 'string' ? JSON.parse(plan[0]) : plan[0];
+    return parsed;
+}
+
+/**
+ * Gets the text forms of the argument values to mask, as the server would quote them, longest first so no part of a
+ * longer value is left behind by masking a shorter one
+ * @param {[*]} args – Query argument values
+ * @param {boolean|[number]} redact – `true` to mask every value, or the positions of the values to mask
+ * @returns {[string]}
+ */
+function getRedactedTexts(args, redact) {
+    const texts = new Set();
+    const collect = value => {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) value.forEach(collect);
+        const text = prepareValue(value);
+        if (typeof text === 'string' && text) texts.add(text);
+    };
+    (args || []).forEach((value, i) => {
+        if (redact === true || redact.includes(i)) collect(value);
+    });
+    return [...texts].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Whether the query string holds a single statement, i.e. has no semicolon outside of literals, quoted identifiers and
+ * comments, short of a trailing one
+ * @param {string} sql – Query string
+ * @returns {boolean}
+ */
+function isSingleStatement(sql) {
+    const stripped = sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\$(\w*)\$[\s\S]*?\$\1\$|--[^\n]*|\/\*[\s\S]*?\*\//g, ' ');
+    return !/;\s*\S/.test(stripped);
+}
+
+/**
+ * Converts a lock key to the signed 64-bit integer postgres uses for advisory locks
+ * @param {string|number|bigint} key – Lock key. Strings are hashed.
+ * @returns {bigint}
+ */
+function getAdvisoryLockKey(key) {
+    if (typeof key === 'string') return Crypto.createHash('sha256').update(key).digest().readBigInt64BE(0);
+    if (typeof key === 'number' && Number.isSafeInteger(key)) key = BigInt(key);
+    if (typeof key === 'bigint' && BigInt.asIntN(64, key) === key) return key;
+    throw new Error('PostgresService: Advisory lock key must be a string or a 64-bit integer');
+}
+
+/**
+ * Builds the type parser lookup for a pool's clients, falling back to pg's defaults
+ * @param {*} options – `config.types` options, or an object that already implements getTypeParser
+ * @returns {{getTypeParser: function(number, string):function}}
+ */
+function createTypeParsers(options) {
+    if (typeof options.getTypeParser === 'function') return options;
+
+    const { int8 = 'string', numeric = 'string', timestamp = 'local', json = 'parse', parsers = {} } = options;
+    const { builtins } = pgTypes;
+    const text = {};
+    const setParser = (oid, arrayOid, parse) => {
+        text[oid] = parse;
+        text[arrayOid] = value => pgTypes.arrayParser.create(value, entry => entry === null ? null : parse(entry)).parse();
+    };
+
+    if (int8 === 'bigint') setParser(builtins.INT8, 1016, BigInt);
+    else if (int8 === 'number') setParser(builtins.INT8, 1016, Number);
+    else if (int8 !== 'string') throw new Error(`PostgresService: Unknown types.int8 option: ${int8}`);
+
+    if (typeof numeric === 'function') setParser(builtins.NUMERIC, 1231, numeric);
+    else if (numeric === 'string') setParser(builtins.NUMERIC, 1231, String);
+    else throw new Error(`PostgresService: Unknown types.numeric option: ${numeric}`);
+
+    if (timestamp === 'utc') setParser(builtins.TIMESTAMP, 1115, parseUtcTimestamp);
+    else if (timestamp === 'string') setParser(builtins.TIMESTAMP, 1115, String);
+    else if (timestamp !== 'local') throw new Error(`PostgresService: Unknown types.timestamp option: ${timestamp}`);
+
+    if (json !== 'parse') {
+        if (typeof json !== 'function' && json !== 'string') throw new Error(`PostgresService: Unknown types.json option: ${json}`);
+        const parse = json === 'string' ? String : json;
+        setParser(builtins.JSON, 199, parse);
+        setParser(builtins.JSONB, 3807, parse);
+    }
+
+    Object.keys(parsers).forEach(oid => {
+        if (typeof parsers[oid] !== 'function') throw new Error(`PostgresService: types.parsers[${oid}] must be a function`);
+        text[oid] = parsers[oid];
+    });
+
+    return {
+        getTypeParser: (oid, format='text') => (format === 'text' && text[oid]) || pgTypes.getTypeParser(oid, format)
+    };
+}
+
+/**
+ * Parses a timestamp without time zone as UTC
+ * @param {string} value – Timestamp text, e.g. `2020-01-02 03:04:05.678`
+ * @returns {Date|number}
+ */
+function parseUtcTimestamp(value) {
+    // Infinity stays as-is, otherwise parse it as if it had a zero offset (before any BC suffix)
+    return pgTypes.getTypeParser(pgTypes.builtins.TIMESTAMPTZ)(/infinity$/.test(value) ? value : value.replace(/( BC)?$/, '+00$1'));
+}
+
+/**
+ * Gets the client counters of a pool
+ * @param {Pool} [pool] – Connection pool
+ * @returns {{total: number, idle: number, waiting: number}}
+ */
+function getPoolCounts(pool) {
+    return {
+        total: pool ? pool.totalCount : 0,
+        idle: pool ? pool.idleCount : 0,
+        waiting: pool ? pool.waitingCount : 0
+    };
 }
 
 module.exports = PostgresService;
\ No newline at end of file
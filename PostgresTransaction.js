@@ -0,0 +1,127 @@
+"use strict";
+
+const debug = require('debug')('pg:tx');
+
+/**
+ * Unit of work bound to a single client. Created by PostgresService.transaction – don't construct this yourself.
+ */
+class PostgresTransaction {
+
+    /**
+     * Constructor
+     * @param {PostgresService} service – Service that owns the transaction
+     * @param {Client} client – Client the transaction is running on
+     * @param {PostgresTransaction} [parent] – Enclosing transaction, when this is a savepoint
+     */
+    constructor(service, client, parent=null) {
+
+        /**
+         * Underlying postgres service instance
+         * @type {PostgresService}
+         */
+        this.service = service;
+
+        /**
+         * Client the transaction is running on – pass as `{ client }` to CrudService methods
+         * @type {Client}
+         */
+        this.client = client;
+
+        /**
+         * Enclosing transaction, if this is a nested (savepoint) transaction
+         * @type {PostgresTransaction|null}
+         */
+        this.parent = parent;
+
+        /**
+         * How deeply this transaction is nested (0 = top-level)
+         * @type {number}
+         */
+        this.depth = parent ? parent.depth + 1 : 0;
+
+        /**
+         * Number of savepoints opened from this transaction, used to generate unique names
+         * @type {number}
+         * @private
+         */
+        this._savepointCount = 0;
+
+        /**
+         * Whether a serialization failure or deadlock in this transaction will be retried (and so is not reported)
+         * @type {boolean}
+         * @private
+         */
+        this._retryPending = false;
+
+        /**
+         * Functions to run once the work of this transaction is committed
+         * @type {[function():Promise<*>]}
+         * @private
+         */
+        this._afterCommit = [];
+    }
+
+    /**
+     * Issues a SQL query within this transaction.
+     * @param {string|SqlFragment} sql – Query string, or a fragment built with the `sql` tagged template
+     * @param {[*]} [args] – Query argument values (may be omitted when given a fragment)
+     * @param {*} [options] – Query functionality options (client is always this transaction's client)
+     * @returns {Promise<*>}
+     */
+    query(sql, args=[], options={}) {
+        // Options may be given in place of arguments when using a fragment
+        if (args && !Array.isArray(args)) [args, options] = [[], args];
+        return this.service.query(sql, args, Object.assign({}, options, { client: this.client }));
+    }
+
+    /**
+     * Takes a transaction-level advisory lock, held until the transaction commits or rolls back.
+     * @param {string|number|bigint} key – Lock key. Strings are hashed to a 64-bit integer.
+     * @param {{wait:boolean?, timeoutMs:number?, shared:boolean?}} [options] – Lock options
+     * @returns {Promise<void>} – Rejects with a LockNotAcquiredError if the lock could not be taken
+     */
+    advisoryLock(key, options={}) {
+        return this.service._acquireAdvisoryLock(this.client, key, Object.assign({}, options, { xact: true }));
+    }
+
+    /**
+     * Registers a function to run once the top-level transaction commits. Functions registered in a savepoint that rolls
+     * back, or in a transaction that rolls back, never run. Failures are reported, not thrown, since the work is done.
+     * @param {function():Promise<*>} fn – Function to run
+     */
+    afterCommit(fn) {
+        this._afterCommit.push(fn);
+    }
+
+    /**
+     * Runs the given function within a nested transaction (SAVEPOINT). If the function throws, only the work done
+     * within the savepoint is rolled back, and the error is rethrown.
+     * @param {function(PostgresTransaction):Promise<*>} fn – Unit of work
+     * @returns {Promise<*>} – Resolves the value the function returned
+     */
+    async transaction(fn) {
+        const savepoint = `sp_${this.depth + 1}_${++this._savepointCount}`;
+        const tx = new PostgresTransaction(this.service, this.client, this);
+
+        debug('Creating savepoint %s', savepoint);
+        await this.query(`SAVEPOINT ${savepoint}`);
+
+        let res;
+        try {
+            res = await this.service._transactionContext.run(tx, () => fn(tx));
+        } catch (err) {
+            debug('Rolling back to savepoint %s', savepoint);
+            await this.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+            throw err;
+        }
+
+        debug('Releasing savepoint %s', savepoint);
+        await this.query(`RELEASE SAVEPOINT ${savepoint}`);
+
+        // The savepoint's work now commits or rolls back with this transaction
+        this._afterCommit.push(...tx._afterCommit);
+        return res;
+    }
+}
+
+module.exports = PostgresTransaction;
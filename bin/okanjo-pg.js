@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+"use strict";
+
+const FS = require('fs');
+const Path = require('path');
+
+const USAGE = `Usage: okanjo-pg migrate <command> [options]
+
+Commands:
+  up                  Apply pending migrations
+  down [n]            Roll back the last n migrations (default 1)
+  status              List applied and pending migrations, and checksum drift
+  create <name>       Scaffold a new migration file
+
+Options:
+  --dir <path>        Migrations directory (default ./migrations)
+  --config <path>     Module exporting the PostgresService config (default: PG* environment variables)
+  --config-key <key>  Dotted path to the config within the module, e.g. postgres.my_database
+  --schema <name>     Schema of the bookkeeping table (default public)
+  --table <name>      Name of the bookkeeping table (default schema_migrations)
+  --scope <name>      Scope the migrations are recorded under (default default)
+  --lock-timeout <ms> How long to wait for another run to finish (default forever)
+  --help              Show this message
+`;
+
+/**
+ * Options that take a value
+ * @type {[string]}
+ */
+const OPTIONS = ['dir', 'config', 'config-key', 'schema', 'table', 'scope', 'lock-timeout'];
+
+/**
+ * Boilerplate for new migration files
+ * @type {string}
+ */
+const TEMPLATE = `"use strict";
+
+/**
+ * Applies the migration
+ * @param {PostgresTransaction} tx – Transaction the migration runs in
+ * @param {*} context – Migrator context
+ * @returns {Promise<void>}
+ */
+exports.up = async (tx, context) => { // eslint-disable-line no-unused-vars
+    // await tx.query('CREATE TABLE ...');
+};
+
+/**
+ * Reverts the migration
+ * @param {PostgresTransaction} tx – Transaction the migration runs in
+ * @param {*} context – Migrator context
+ * @returns {Promise<void>}
+ */
+exports.down = async (tx, context) => { // eslint-disable-line no-unused-vars
+    // await tx.query('DROP TABLE ...');
+};
+`;
+
+/**
+ * Runs the command line interface
+ * @param {[string]} argv – Arguments, sans node and script path
+ * @param {{stdout:Writable?, stderr:Writable?, cwd:string?}} [io] – Where to write output, and resolve paths from
+ * @returns {Promise<number>} – Exit code
+ */
+async function run(argv, io={}) {
+    const { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io;
+
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const [group, command, ...rest] = args._;
+    if (args.help || group !== 'migrate' || !command) {
+        (args.help ? stdout : stderr).write(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const dir = Path.resolve(cwd, args.dir || 'migrations');
+    if (command === 'create') return create(dir, rest[0], stdout, stderr);
+    if (!['up', 'down', 'status'].includes(command)) {
+        stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const steps = rest[0] === undefined ? 1 : Number(rest[0]);
+    if (command === 'down' && !(Number.isInteger(steps) && steps > 0)) {
+        stderr.write(`down expects a positive number of migrations, got: ${rest[0]}\n`);
+        return 1;
+    }
+
+    const OkanjoApp = require('okanjo-app');
+    const { PostgresService, PostgresMigrator } = require('..');
+
+    let config;
+    try {
+        config = loadConfig(args.config && Path.resolve(cwd, args.config), args['config-key']);
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return 1;
+    }
+
+    const app = new OkanjoApp({});
+    const service = new PostgresService(app, config);
+    const migrator = new PostgresMigrator(service, {
+        migrations: dir,
+        schema: args.schema,
+        table: args.table,
+        scope: args.scope,
+        lockTimeoutMs: args['lock-timeout'] === undefined ? undefined : Number(args['lock-timeout'])
+    });
+
+    try {
+        await service.connect();
+
+        if (command === 'up') {
+            const applied = await migrator.up();
+            applied.forEach(id => stdout.write(`Applied ${id}\n`));
+            stdout.write(applied.length ? `${applied.length} migration(s) applied\n` : 'Nothing to apply\n');
+        } else if (command === 'down') {
+            const reverted = await migrator.down({ steps });
+            reverted.forEach(id => stdout.write(`Rolled back ${id}\n`));
+            stdout.write(reverted.length ? `${reverted.length} migration(s) rolled back\n` : 'Nothing to roll back\n');
+        } else {
+            const status = await migrator.status();
+            if (!status.length) stdout.write('No migrations\n');
+            for (const migration of status) {
+                const state = migration.missing ? 'missing' : migration.drift ? 'drift' : migration.applied ? 'applied' : 'pending';
+                stdout.write(`${state.padEnd(8)} ${migration.id}${migration.appliedAt ? `  ${migration.appliedAt.toISOString()}` : ''}\n`);
+            }
+
+            // Fail, so deploy scripts notice
+            if (status.some(migration => migration.drift || migration.missing)) return 1;
+        }
+        return 0;
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return 1;
+    } finally {
+        await service.close();
+    }
+}
+
+/**
+ * Writes a new, empty migration file, named after the current UTC time so it sorts last
+ * @param {string} dir – Migrations directory
+ * @param {string} name – Migration name
+ * @param {Writable} stdout – Output stream
+ * @param {Writable} stderr – Error stream
+ * @returns {number} – Exit code
+ */
+function create(dir, name, stdout, stderr) {
+    if (!name || !/^[a-z0-9_-]+$/i.test(name)) {
+        stderr.write('create expects a name made of letters, numbers, dashes and underscores\n');
+        return 1;
+    }
+
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const file = Path.join(dir, `${stamp}_${name}.js`);
+    try {
+        FS.mkdirSync(dir, { recursive: true });
+        FS.writeFileSync(file, TEMPLATE, { flag: 'wx' });
+    } catch (err) {
+        // e.g. the same name twice within a second, or a directory we can't write to
+        stderr.write(`${err.message}\n`);
+        return 1;
+    }
+    stdout.write(`Created ${file}\n`);
+    return 0;
+}
+
+/**
+ * Loads the service config from a module, or leaves it to the PG* environment variables
+ * @param {string} [path] – Config module path
+ * @param {string} [key] – Dotted path to the config within the module
+ * @returns {*}
+ */
+function loadConfig(path, key) {
+    if (!path) return {};
+
+    let config = require(path);
+    if (key) {
+        config = key.split('.').reduce((value, part) => (value === undefined || value === null) ? undefined : value[part], config);
+        if (!config) throw new Error(`Config key ${key} not found in ${path}`);
+    }
+    return config;
+}
+
+/**
+ * Splits arguments into positionals and --options
+ * @param {[string]} argv – Arguments
+ * @returns {{_:[string]}}
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+        } else if (arg === '--help') {
+            args.help = true;
+        } else {
+            const [name, value] = arg.slice(2).split(/=(.*)/s);
+            if (!OPTIONS.includes(name)) {
+                throw new Error(`Unknown option: ${arg}`);
+            } else if (value !== undefined) {
+                args[name] = value;
+            } else if (i + 1 < argv.length) {
+                args[name] = argv[++i];
+            } else {
+                throw new Error(`Missing value for ${arg}`);
+            }
+        }
+    }
+    return args;
+}
+
+module.exports = run;
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ * Base class of errors the server responded with. Wraps the driver's error, keeping its message and SQLSTATE.
+ */
+class PostgresError extends Error {
+
+    /**
+     * Constructor
+     * @param {string} message – Error message
+     * @param {Error} [cause] – Error the driver raised, if any
+     */
+    constructor(message, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        const source = cause || {};
+
+        /**
+         * SQLSTATE code, e.g. `23505`
+         * @type {string|undefined}
+         */
+        this.code = source.code;
+
+        /**
+         * Name of the constraint that was violated, if any
+         * @type {string|undefined}
+         */
+        this.constraint = source.constraint;
+
+        /**
+         * Schema of the table involved, if any
+         * @type {string|undefined}
+         */
+        this.schema = source.schema;
+
+        /**
+         * Table involved, if any
+         * @type {string|undefined}
+         */
+        this.table = source.table;
+
+        /**
+         * Column involved, if any
+         * @type {string|undefined}
+         */
+        this.column = source.column;
+
+        /**
+         * Server's detail message, e.g. which key collided
+         * @type {string|undefined}
+         */
+        this.detail = source.detail;
+
+        /**
+         * Server's hint on how to fix the problem, if any
+         * @type {string|undefined}
+         */
+        this.hint = source.hint;
+
+        /**
+         * Error the driver raised
+         * @type {Error|undefined}
+         */
+        this.cause = cause;
+    }
+
+    /**
+     * Wraps a driver error in the matching error class. Errors that are already wrapped, or that did not come from
+     * the server, are returned as-is.
+     * @param {Error} err – Driver error
+     * @returns {Error}
+     */
+    static from(err) {
+        if (!err || err instanceof PostgresError || err instanceof LockNotAcquiredError) return err;
+
+        if (isConnectionError(err)) return new ConnectionError(err.message, err);
+        if (typeof err.code !== 'string' || !/^[0-9A-Z]{5}$/.test(err.code)) return err;
+
+        if (err.code === '57014') return new QueryCanceledError(err.message, QueryCanceledError.REASONS.SERVER, err);
+        const ErrorClass = SQLSTATE_CLASSES[err.code] || PostgresError;
+        return new ErrorClass(err.message, err);
+    }
+}
+
+/**
+ * Raised when an insert or update collides with a unique index or constraint (23505)
+ */
+class UniqueViolationError extends PostgresError {}
+
+/**
+ * Raised when a referenced row does not exist, or a row is still referenced (23503)
+ */
+class ForeignKeyViolationError extends PostgresError {}
+
+/**
+ * Raised when a NOT NULL column is given a null (23502)
+ */
+class NotNullViolationError extends PostgresError {}
+
+/**
+ * Raised when a row fails a CHECK constraint (23514)
+ */
+class CheckViolationError extends PostgresError {}
+
+/**
+ * Raised when a transaction could not be serialized, or was picked as a deadlock victim (40001, 40P01). These are
+ * safe to retry.
+ */
+class SerializationError extends PostgresError {}
+
+/**
+ * Raised when the connection to the server could not be made, or was lost (class 08, 57P01-57P03, socket errors)
+ */
+class ConnectionError extends PostgresError {}
+
+/**
+ * Raised when a query is canceled – it ran past its `timeoutMs`, its abort `signal` fired, or the server canceled it.
+ */
+class QueryCanceledError extends PostgresError {
+
+    /**
+     * Constructor
+     * @param {string} message – Error message
+     * @param {string} reason – Why the query was canceled, one of QueryCanceledError.REASONS
+     * @param {Error} [cause] – Error the server responded with, if any
+     */
+    constructor(message, reason, cause) {
+        super(message, cause);
+
+        /**
+         * Why the query was canceled
+         * @type {string}
+         */
+        this.reason = reason;
+
+        /**
+         * SQLSTATE for query_canceled
+         * @type {string}
+         */
+        this.code = '57014';
+    }
+}
+
+/**
+ * Reasons a query may be canceled
+ * @type {{TIMEOUT: string, ABORTED: string, SERVER: string}}
+ */
+QueryCanceledError.REASONS = {
+    TIMEOUT: 'timeout',
+    ABORTED: 'aborted',
+    SERVER: 'server'
+};
+
+/**
+ * Raised when an advisory lock could not be taken – it was held elsewhere and the caller didn't want to wait, or
+ * waiting timed out.
+ */
+class LockNotAcquiredError extends Error {
+
+    /**
+     * Constructor
+     * @param {string} message – Error message
+     * @param {string|number|bigint} key – Lock key, as given
+     * @param {Error} [cause] – Error the server responded with, if any
+     */
+    constructor(message, key, cause) {
+        super(message);
+        this.name = 'LockNotAcquiredError';
+
+        /**
+         * Lock key, as given
+         * @type {string|number|bigint}
+         */
+        this.key = key;
+
+        /**
+         * Error the server responded with, if waiting timed out
+         * @type {Error|undefined}
+         */
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error classes by SQLSTATE code
+ * @type {Object<string, function>}
+ */
+const SQLSTATE_CLASSES = {
+    '23505': UniqueViolationError,
+    '23503': ForeignKeyViolationError,
+    '23502': NotNullViolationError,
+    '23514': CheckViolationError,
+    '40001': SerializationError,
+    '40P01': SerializationError
+};
+
+/**
+ * Socket error codes that mean the server could not be reached
+ * @type {[string]}
+ */
+const SOCKET_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH'];
+
+/**
+ * Whether the error indicates the connection to the server could not be made or was lost
+ * @param {Error} err – Driver error
+ * @returns {boolean}
+ */
+function isConnectionError(err) {
+    return /^(08|57P0)/.test(err.code || '') || SOCKET_ERROR_CODES.includes(err.code) || /Connection terminated/.test(err.message);
+}
+
+exports.PostgresError = PostgresError;
+exports.UniqueViolationError = UniqueViolationError;
+exports.ForeignKeyViolationError = ForeignKeyViolationError;
+exports.NotNullViolationError = NotNullViolationError;
+exports.CheckViolationError = CheckViolationError;
+exports.SerializationError = SerializationError;
+exports.ConnectionError = ConnectionError;
+exports.QueryCanceledError = QueryCanceledError;
+exports.LockNotAcquiredError = LockNotAcquiredError;
@@ -1,4 +1,9 @@
 "use strict";
 
 exports.PostgresService = require('./PostgresService');
-exports.PostgresCrudService = require('./PostgresCrudService');
\ No newline at end of file
+exports.PostgresCrudService = require('./PostgresCrudService');
+exports.PostgresTransaction = require('./PostgresTransaction');
+exports.PostgresMigrator = require('./PostgresMigrator');
+exports.sql = require('./sql');
+exports.MemoryCacheStore = require('./MemoryCacheStore');
+exports.errors = require('./errors');
\ No newline at end of file
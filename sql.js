@@ -0,0 +1,141 @@
+"use strict";
+
+/**
+ * A piece of SQL text with its argument values kept separate. Built with the `sql` tagged template – don't construct
+ * this yourself.
+ */
+class SqlFragment {
+
+    /**
+     * Constructor
+     * @param {[string]} strings – Literal SQL text, one more entry than there are values
+     * @param {[*]} values – Interpolated values (argument values or nested fragments)
+     */
+    constructor(strings, values) {
+        this.strings = strings;
+        this.values = values;
+    }
+
+    /**
+     * Compiles the fragment into parameterized query text and argument values. When any values were marked with
+     * `sql.sensitive`, their (zero-based) argument positions are given as `sensitive`.
+     * @returns {{text: string, values: [*], sensitive: [number]?}}
+     */
+    toQuery() {
+        const values = [];
+        const sensitive = [];
+        const text = this._compile(values, sensitive);
+        return sensitive.length ? { text, values, sensitive } : { text, values };
+    }
+
+    /**
+     * Appends this fragment's values to the given arguments and returns its text, numbering parameters to match
+     * @param {[*]} args – Argument values compiled so far
+     * @param {[number]} sensitive – Positions of sensitive argument values compiled so far
+     * @returns {string}
+     * @private
+     */
+    _compile(args, sensitive) {
+        let text = this.strings[0];
+        this.values.forEach((value, i) => {
+            if (value instanceof SqlFragment) {
+                text += value._compile(args, sensitive);
+            } else if (value instanceof SensitiveValue) {
+                sensitive.push(args.length);
+                args.push(value.value);
+                text += '$' + args.length;
+            } else {
+                args.push(value);
+                text += '$' + args.length;
+            }
+            text += this.strings[i + 1];
+        });
+        return text;
+    }
+}
+
+/**
+ * A query argument value that must not show up in error reports, debug logs or query events. Built with
+ * `sql.sensitive` – don't construct this yourself.
+ */
+class SensitiveValue {
+
+    /**
+     * Constructor
+     * @param {*} value – Argument value
+     */
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Tagged template that turns interpolated values into numbered query parameters.
+ *
+ * @example sql`SELECT * FROM ${sql.id('app', 'users')} WHERE "email" = ${email}`
+ * @param {[string]} strings – Template strings
+ * @param {...*} values – Interpolated values. Fragments are inlined, everything else becomes a parameter.
+ * @returns {SqlFragment}
+ */
+function sql(strings, ...values) {
+    return new SqlFragment(Array.from(strings), values);
+}
+
+/**
+ * Quoted (and escaped) identifier, e.g. a schema, table or column name. Multiple names are joined with dots.
+ * @example sql.id('app', 'users') // "app"."users"
+ * @param {...string} names – Identifier parts
+ * @returns {SqlFragment}
+ */
+sql.id = function(...names) {
+    if (!names.length) throw new Error('sql.id: at least one name is required');
+    return sql.raw(names.map(name => '"' + String(name).replace(/"/g, '""') + '"').join('.'));
+};
+
+/**
+ * Raw SQL text, inserted as-is. NEVER pass user input to this!
+ * @param {string} text – SQL text
+ * @returns {SqlFragment}
+ */
+sql.raw = function(text) {
+    return new SqlFragment([String(text)], []);
+};
+
+/**
+ * Joins fragments or values together with a separator
+ * @example sql`WHERE ${sql.join(conditions, ' AND ')}`
+ * @param {[*]} items – Fragments and/or values (values become parameters)
+ * @param {string|SqlFragment} [separator] – Raw separator text or fragment, defaults to `, `
+ * @returns {SqlFragment}
+ */
+sql.join = function(items, separator=', ') {
+    if (!(separator instanceof SqlFragment)) separator = sql.raw(separator);
+
+    const strings = [''];
+    const values = [];
+    items.forEach((item, i) => {
+        if (i > 0) {
+            values.push(separator);
+            strings.push('');
+        }
+        values.push(item);
+        strings.push('');
+    });
+    return new SqlFragment(strings, values);
+};
+
+/**
+ * Marks a value as sensitive, e.g. a password hash or token. It's sent to the server as usual, but masked wherever
+ * the query's arguments are reported, logged or emitted.
+ * @example sql`UPDATE users SET "password" = ${sql.sensitive(hash)} WHERE "id" = ${id}`
+ * @param {*} value – Argument value
+ * @returns {SensitiveValue}
+ */
+sql.sensitive = function(value) {
+    return new SensitiveValue(value);
+};
+
+sql.SqlFragment = SqlFragment;
+sql.SensitiveValue = SensitiveValue;
+
+module.exports = sql;
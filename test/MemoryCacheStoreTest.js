@@ -0,0 +1,55 @@
+"use strict";
+
+const should = require('should');
+
+describe('MemoryCacheStore', () => {
+
+    const { MemoryCacheStore } = require('../');
+
+    it('should get and set values', async () => {
+        const store = new MemoryCacheStore();
+        store.maxEntries.should.be.exactly(1000);
+        should(await store.get('a')).be.exactly(undefined);
+
+        await store.set('a', { id: 'a' });
+        await store.set('b', null);
+        (await store.get('a')).should.deepEqual({ id: 'a' });
+        should(await store.get('b')).be.exactly(null);
+        store.size.should.be.exactly(2);
+    });
+
+    it('should expire values', async () => {
+        const store = new MemoryCacheStore();
+        await store.set('a', 1, 1);
+        await store.set('b', 2, 60000);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        should(await store.get('a')).be.exactly(undefined);
+        should(await store.get('b')).be.exactly(2);
+        store.size.should.be.exactly(1);
+    });
+
+    it('should evict the least recently used values', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+        await store.set('a', 1);
+        await store.set('b', 2);
+        await store.get('a');
+        await store.set('c', 3);
+        store.size.should.be.exactly(2);
+        should(await store.get('b')).be.exactly(undefined);
+        should(await store.get('a')).be.exactly(1);
+        should(await store.get('c')).be.exactly(3);
+    });
+
+    it('should clear by prefix', async () => {
+        const store = new MemoryCacheStore();
+        await store.set('x:1', 1);
+        await store.set('x:2', 2);
+        await store.set('y:1', 3);
+        await store.clear('x:');
+        store.size.should.be.exactly(1);
+        should(await store.get('y:1')).be.exactly(3);
+        await store.clear();
+        store.size.should.be.exactly(0);
+    });
+
+});
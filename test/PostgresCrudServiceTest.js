@@ -2,10 +2,12 @@
 
 
 const should = require('should');
+const { captureReports } = require('./env');
 
 describe('PostgresCrudService', () => {
 
     const { PostgresService, PostgresCrudService } = require('../');
+    const { UniqueViolationError } = require('../').errors;
     const OkanjoApp = require('okanjo-app');
     const config = require('./config');
 
@@ -342,7 +344,7 @@ describe('PostgresCrudService', () => {
                 status: 'active',
                 created: now,
                 updated: now
-            }).should.be.rejectedWith(/duplicate key/);
+            }).should.be.rejectedWith(UniqueViolationError, { table: 'user' });
 
         });
 
@@ -1153,6 +1155,57 @@ describe('PostgresCrudService', () => {
 
     });
 
+    describe('importRows / exportRows', () => {
+
+        const collect = async (stream) => {
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            return Buffer.concat(chunks).toString();
+        };
+
+        before(async () => {
+            await purgeTable();
+        });
+
+        after(async () => {
+            await purgeTable();
+        });
+
+        it('should import rows', async () => {
+            const res = await crud.importRows([
+                { id: 'imp1', username: 'imp1', email: 'imp1@imp.com', status: 'active', created: now, updated: now },
+                { id: 'imp2', username: 'imp2', email: null, status: 'dead', created: now, updated: now },
+            ], { format: 'csv' });
+            res.rowCount.should.be.exactly(2);
+
+            const doc = await crud.retrieve('imp1');
+            doc.email.should.be.exactly('imp1@imp.com');
+            doc.created.toString().should.be.equal(now.toString());
+        });
+
+        it('should import a stream with explicit columns', async () => {
+            const { Readable } = require('stream');
+            const res = await crud.importRows(Readable.from([`imp3\timp3\tactive\t${now.toISOString()}\t${now.toISOString()}\n`]), {
+                columns: ['id', 'username', 'status', 'created', 'updated']
+            });
+            res.rowCount.should.be.exactly(1);
+        });
+
+        it('should export rows, concealing dead ones', async () => {
+            const data = await collect(crud.exportRows({ columns: ['id', 'username'], format: 'csv' }));
+            data.split('\n').filter(Boolean).sort().should.deepEqual(['imp1,imp1', 'imp3,imp3']);
+        });
+
+        it('should export all rows without concealment', async () => {
+            const data = await collect(crud.exportRows({ conceal: false, format: 'csv', columns: ['id'] }));
+            data.split('\n').filter(Boolean).sort().should.deepEqual(['imp1', 'imp2', 'imp3']);
+
+            const all = await collect(crud.exportRows({ format: 'csv' }));
+            all.split('\n').filter(Boolean).length.should.be.exactly(2);
+        });
+
+    });
+
     describe('Transactions', () => {
 
         // All crud functions should work in a transaction w/ options
@@ -1250,4 +1303,745 @@ describe('PostgresCrudService', () => {
 
     });
 
+    describe('Ambient transactions', () => {
+
+        const row = (id) => ({ id, username: id, email: `${id}@${id}.com`, first_name: null, last_name: null, status: 'active', created: now, updated: now });
+
+        before(async () => {
+            await purgeTable();
+        });
+
+        it('should run every method in the transaction without being given a client', async () => {
+            await app.services.db.transaction(async () => {
+                await crud.create(row('amb1'));
+                await crud.importRows([row('amb2'), row('amb3')]);
+
+                (await crud.retrieve('amb1')).id.should.be.exactly('amb1');
+                (await crud.find({ id: ['amb1', 'amb2'] })).length.should.be.exactly(2);
+                (await crud.count({})).should.be.exactly(3n);
+
+                (await crud.update({ id: 'amb1', first_name: 'changed' })).first_name.should.be.exactly('changed');
+                (await crud.bulkUpdate({ id: 'amb2' }, { last_name: 'bulk' })).rowCount.should.be.exactly(1);
+                await crud.delete({ id: 'amb2' });
+                (await crud.bulkDelete({ id: 'amb3' })).rowCount.should.be.exactly(1);
+                (await crud.count({})).should.be.exactly(1n);
+
+                await crud.deletePermanently({ id: 'amb1' });
+                (await crud.bulkDeletePermanently({ id: ['amb2', 'amb3'] }, { conceal: false })).rowCount.should.be.exactly(2);
+                (await crud.count({}, { conceal: false })).should.be.exactly(0n);
+
+                await crud.create(row('amb4'));
+                throw new Error('nope');
+            }).should.be.rejectedWith('nope');
+
+            (await crud.count({}, { conceal: false })).should.be.exactly(0n);
+        });
+
+        it('should let every method opt out of the transaction', async () => {
+            await crud.importRows([row('out1'), row('out2'), row('out3'), row('out4')]);
+
+            // Started, not awaited, so they wait on the transaction's client rather than deadlock against it
+            let outside;
+            const opts = () => ({ outsideTransaction: true });
+            await app.services.db.transaction(async () => {
+                await crud.create(row('in1'));
+                outside = [
+                    crud.retrieve('in1', opts()),
+                    crud.find({ id: 'in1' }, opts()),
+                    crud.count({ id: 'in1' }, opts()),
+                    crud.update({ id: 'out1', first_name: 'changed' }, null, opts()),
+                    crud.bulkUpdate({ id: 'out2' }, { last_name: 'bulk' }, opts()),
+                    crud.deletePermanently({ id: 'out3' }, opts()),
+                    crud.bulkDeletePermanently({ id: 'out4' }, opts())
+                ];
+                throw new Error('nope');
+            }).should.be.rejectedWith('nope');
+
+            const [retrieved, found, counted, updated, bulkUpdated, deleted, bulkDeleted] = await Promise.all(outside);
+
+            // Reads never saw the transaction's row
+            should(retrieved).be.exactly(null);
+            found.should.deepEqual([]);
+            counted.should.be.exactly(0n);
+
+            // Writes were not rolled back with it
+            updated.first_name.should.be.exactly('changed');
+            bulkUpdated.rowCount.should.be.exactly(1);
+            deleted.rowCount.should.be.exactly(1);
+            bulkDeleted.rowCount.should.be.exactly(1);
+            (await crud.find({ id: ['out1', 'out2', 'out3', 'out4'] }, { sort: { id: 1 } })).map(doc => [doc.id, doc.first_name, doc.last_name]).should.deepEqual([
+                ['out1', 'changed', null],
+                ['out2', null, 'bulk']
+            ]);
+        });
+
+        it('should commit with the transaction', async () => {
+            await app.services.db.transaction(async () => {
+                await crud.create(row('amb5'));
+            });
+            (await crud.retrieve('amb5')).id.should.be.exactly('amb5');
+        });
+
+    });
+
+
+    describe('Prepared statements', () => {
+
+        before(async () => {
+            await purgeTable();
+            await createDummyRecord();
+        });
+
+        it('should prepare fixed-shape queries by id', async () => {
+            const seen = [];
+            const query = app.services.db.query;
+            app.services.db.query = function(sql, options) {
+                seen.push(!!options.prepare);
+                return query.apply(this, arguments);
+            };
+
+            try {
+                const doc = await crud.retrieve('a');
+                await crud.update(doc, { email: 'a2@a.com' });
+                await crud.find({ id: 'a' });
+                await crud.deletePermanently(doc);
+            } finally {
+                app.services.db.query = query;
+            }
+
+            seen.should.deepEqual([true, true, false, true]);
+        });
+
+        it('should reuse prepared statements', async () => {
+            await createDummyRecord();
+            const client = await app.services.db.getConnection();
+            try {
+                (await crud.retrieve('a', { client })).id.should.be.exactly('a');
+                const statements = app.services.db._preparedStatements.get(client);
+                const size = statements.size;
+
+                (await crud.retrieve('a', { client })).id.should.be.exactly('a');
+                should(await crud.retrieve('nope', { client })).be.exactly(null);
+                statements.size.should.be.exactly(size);
+            } finally {
+                client.release();
+            }
+        });
+
+    });
+
+    describe('Cancellation', () => {
+
+        const { QueryCanceledError } = require('../').errors;
+
+        before(async () => {
+            await purgeTable();
+            await createDummyRecord();
+        });
+
+        it('should pass timeouts and signals through', async () => {
+            const seen = [];
+            const query = app.services.db.query;
+            app.services.db.query = function(sql, options) {
+                seen.push([options.timeoutMs, options.signal]);
+                return query.apply(this, arguments);
+            };
+
+            const { signal } = new AbortController();
+            try {
+                (await crud.find({ username: 'a' }, { timeoutMs: 1000, signal })).length.should.be.exactly(1);
+                (await crud.count({ username: 'a' }, { timeoutMs: 1000, signal })).should.be.exactly(1n);
+                (await crud.bulkUpdate({ username: 'a' }, { email: 'a@a.com' }, { timeoutMs: 1000, signal })).rowCount.should.be.exactly(1);
+            } finally {
+                app.services.db.query = query;
+            }
+
+            seen.should.deepEqual([[1000, signal], [1000, signal], [1000, signal]]);
+        });
+
+        it('should reject when aborted', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            const { signal } = controller;
+
+            await crud.find({ username: 'a' }, { signal }).should.be.rejectedWith(QueryCanceledError, { reason: 'aborted' });
+            await crud.count({ username: 'a' }, { signal }).should.be.rejectedWith(QueryCanceledError, { reason: 'aborted' });
+            await crud.bulkUpdate({ username: 'a' }, { email: 'nope@a.com' }, { signal }).should.be.rejectedWith(QueryCanceledError, { reason: 'aborted' });
+
+            (await crud.retrieve('a')).email.should.be.exactly('a@a.com');
+        });
+
+    });
+
+    describe('Redaction', () => {
+
+        let redactedCrud;
+        const reports = captureReports(() => app);
+
+        before(async () => {
+            await purgeTable();
+            redactedCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                redactColumns: ['email', /_name$/]
+            });
+        });
+
+        it('should mask redacted columns in query reports', async () => {
+            const row = { id: 'r', username: 'r', email: 'r@r.com', first_name: 'R', last_name: null, status: 'active', created: now, updated: now };
+            await redactedCrud.create(row);
+            await redactedCrud.create(row).should.be.rejectedWith(UniqueViolationError);
+            reports[0][2].args.should.deepEqual(['r', 'r', '[REDACTED]', '[REDACTED]', null, 'active', now, now]);
+
+            await redactedCrud.find({ email: { $gt: 'a', $eqi: 'r@r.com' }, username: ['r'], created: 'nope' }).should.be.rejected();
+            reports[1][2].args.should.deepEqual(['[REDACTED]', '[REDACTED]', 'r', 'nope', 'dead']);
+
+            // The service policy applies when the crud service doesn't set one
+            await crud.create(row).should.be.rejectedWith(UniqueViolationError);
+            reports[2][2].args[2].should.be.exactly('r@r.com');
+        });
+
+        it('should mask redacted values in query errors', async () => {
+            const createdCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                redactColumns: ['created']
+            });
+            const err = await createdCrud.find({ created: 'sk_live_SECRETVALUE' }).should.be.rejected();
+            err.message.should.be.exactly('invalid input syntax for type timestamp: "[REDACTED]"');
+            reports[0][1].should.be.exactly(err);
+            reports[0][2].args.should.deepEqual(['[REDACTED]', 'dead']);
+        });
+
+        it('should mask redacted columns in crud reports', async () => {
+            await redactedCrud.update({ email: 'r@r.com', username: 'r' }).should.be.rejectedWith(/id field not provided/);
+            reports[0][1].doc.email.should.be.exactly('[REDACTED]');
+            reports[0][1].doc.username.should.be.exactly('r');
+        });
+
+    });
+
+    describe('explain', () => {
+
+        before(async () => {
+            await purgeTable();
+            await createDummyRecord();
+        });
+
+        it('should return the plan of find instead of rows', async () => {
+            const plan = await crud.find({ username: 'a' }, { take: 1, explain: true });
+            plan.Plan['Node Type'].should.be.exactly('Limit');
+            should(plan['Execution Time']).be.exactly(undefined);
+
+            const analyzed = await crud.find({ username: 'a' }, { explain: { analyze: true } });
+            analyzed['Execution Time'].should.be.a.Number();
+            analyzed.Plan['Actual Rows'].should.be.exactly(1);
+        });
+
+        it('should return the plan of count instead of the count', async () => {
+            const plan = await crud.count({ status: 'active' }, { explain: true });
+            plan.Plan['Node Type'].should.be.exactly('Aggregate');
+            (await crud.count({ status: 'active' })).should.be.exactly(1n);
+        });
+
+    });
+
+    describe('getColumns', () => {
+
+        it('should describe the table, once', async () => {
+            let queries = 0;
+            const countQuery = () => queries++;
+            app.services.db.on('query:start', countQuery);
+            try {
+                const res = await crud.getColumns();
+                res.columns.map(column => column.name).should.deepEqual(['id', 'username', 'email', 'first_name', 'last_name', 'status', 'created', 'updated']);
+                res.primaryKey.should.deepEqual(['id']);
+                res.uniqueConstraints.should.deepEqual([{ name: 'user_username_key', columns: ['username'] }]);
+
+                (await crud.getColumns()).should.be.exactly(res);
+                queries.should.be.exactly(3);
+
+                (await crud.getColumns({ refresh: true })).should.not.be.exactly(res);
+                queries.should.be.exactly(6);
+            } finally {
+                app.services.db.removeListener('query:start', countQuery);
+            }
+        });
+
+        it('should reject for missing tables, without caching it', async () => {
+            const missing = new PostgresCrudService(app, { service: app.services.db, schema: 'crud_test', table: 'nope' });
+            await missing.getColumns().should.be.rejectedWith('PostgresCrudService: Table crud_test.nope does not exist');
+            missing._columns.size.should.be.exactly(0);
+        });
+
+    });
+
+    describe('Caching', () => {
+
+        const { MemoryCacheStore } = require('../');
+        let cachedCrud, queries;
+        const reports = captureReports(() => app);
+
+        const countQuery = () => queries++;
+
+        before(async () => {
+            cachedCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                cache: { ttlMs: 5000 }
+            });
+            app.services.db.on('query:start', countQuery);
+        });
+
+        after(() => {
+            app.services.db.removeListener('query:start', countQuery);
+        });
+
+        beforeEach(async () => {
+            await purgeTable();
+            await createDummyRecord();
+            await cachedCrud._cache.store.clear();
+            queries = 0;
+        });
+
+        it('should not cache unless enabled', async () => {
+            should(crud._cache).be.exactly(null);
+            await crud.retrieve('a');
+            await crud.retrieve('a');
+            queries.should.be.exactly(2);
+        });
+
+        it('should cache retrieve, find and count', async () => {
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a');
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a');
+            should(await cachedCrud.retrieve('nope')).be.exactly(null);
+            should(await cachedCrud.retrieve('nope')).be.exactly(null);
+            queries.should.be.exactly(2);
+
+            (await cachedCrud.find({ status: 'active', username: 'a' }, { take: 5 })).length.should.be.exactly(1);
+            // Same criteria, different key order
+            (await cachedCrud.find({ username: 'a', status: 'active' }, { take: 5 })).length.should.be.exactly(1);
+            queries.should.be.exactly(3);
+
+            (await cachedCrud.count({ status: 'active' })).should.be.exactly(1n);
+            (await cachedCrud.count({ status: 'active' })).should.be.exactly(1n);
+            queries.should.be.exactly(4);
+        });
+
+        it('should key on criteria and options', async () => {
+            await cachedCrud.find({ status: 'active' });
+            await cachedCrud.find({ status: 'dead' });
+            await cachedCrud.find({ status: 'active' }, { take: 1 });
+            await cachedCrud.find({ status: 'active' }, { fields: { id: 1 } });
+            await cachedCrud.find({ status: 'active' }, { sort: { id: 1, username: -1 } });
+            await cachedCrud.find({ status: 'active' }, { sort: { username: -1, id: 1 } });
+            await cachedCrud.count({ status: 'active' });
+            queries.should.be.exactly(7);
+        });
+
+        it('should not expose criteria values in cache keys', async () => {
+            const keys = [];
+            const failing = key => { keys.push(key); return Promise.reject(new Error('store down')); };
+            const storeCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                cache: { store: { get: failing, set: failing, clear: async () => {} } }
+            });
+
+            const createDebug = require('debug');
+            const { log } = createDebug;
+            const namespaces = createDebug.disable();
+            const lines = [];
+            createDebug.enable('pg:crud');
+            createDebug.log = (...args) => lines.push(args.join(' '));
+
+            try {
+                await storeCrud.find({ email: 'a@a.com' });
+                await cachedCrud.find({ email: 'a@a.com' });
+                await cachedCrud.find({ email: 'a@a.com' });
+            } finally {
+                createDebug.log = log;
+                createDebug.enable(namespaces);
+            }
+
+            keys.should.have.length(2);
+            keys[0].should.match(/^\["crud_test","user"\]:[0-9a-f]{64}$/);
+            reports.should.have.length(2);
+            lines.some(line => /Cache hit/.test(line)).should.be.exactly(true);
+            JSON.stringify([keys, reports.map(r => r[2]), lines]).should.not.match(/a@a\.com/);
+        });
+
+        it('should hand out copies of cached rows', async () => {
+            const doc = await cachedCrud.retrieve('a');
+            doc.username = 'changed';
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a');
+
+            const docs = await cachedCrud.find({});
+            docs[0].username = 'changed';
+            docs.push({});
+            (await cachedCrud.find({})).should.have.length(1);
+            (await cachedCrud.find({}))[0].username.should.be.exactly('a');
+        });
+
+        it('should be invalidated by writes', async () => {
+            await cachedCrud.retrieve('a');
+            await cachedCrud.update({ id: 'a', username: 'a2' });
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a2');
+
+            await cachedCrud.bulkUpdate({ id: 'a' }, { username: 'a3' });
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a3');
+
+            (await cachedCrud.count({})).should.be.exactly(1n);
+            await cachedCrud.create({ id: 'b', username: 'b', status: 'active', created: now, updated: now });
+            (await cachedCrud.count({})).should.be.exactly(2n);
+
+            await cachedCrud.delete({ id: 'b' });
+            (await cachedCrud.count({ status: 'active' })).should.be.exactly(1n);
+
+            await cachedCrud.bulkDelete({ id: 'a' });
+            (await cachedCrud.count({ status: 'active' })).should.be.exactly(0n);
+
+            await cachedCrud.bulkDeletePermanently({ id: 'a' });
+            await cachedCrud.deletePermanently({ id: 'b' });
+            (await cachedCrud.count({})).should.be.exactly(0n);
+
+            await cachedCrud.importRows([['c', 'c', null, null, null, 'active', now.toISOString(), now.toISOString()]]);
+            (await cachedCrud.count({})).should.be.exactly(1n);
+        });
+
+        it('should be invalidated when the writing transaction commits', async () => {
+            // Hold up the reader's cache write until the transaction has made its change, but not committed it
+            let loaded, release;
+            const reachedSet = new Promise(resolve => { loaded = resolve; });
+            const gate = new Promise(resolve => { release = resolve; });
+            const store = new MemoryCacheStore();
+            const set = store.set.bind(store);
+            store.set = async (...args) => {
+                loaded();
+                await gate;
+                return set(...args);
+            };
+            const storeCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                cache: { store }
+            });
+
+            const reading = storeCrud.retrieve('a');
+            await reachedSet;
+
+            await app.services.db.transaction(async () => {
+                await storeCrud.update({ id: 'a', username: 'a2' });
+                release();
+                (await reading).username.should.be.exactly('a');
+                store.size.should.be.exactly(1);
+            });
+
+            (await storeCrud.retrieve('a')).username.should.be.exactly('a2');
+        });
+
+        it('should not cache rows loaded across an invalidation', async () => {
+            // Hold up the reader's result until a write has changed the row and invalidated the cache
+            let loaded, release;
+            const reachedResult = new Promise(resolve => { loaded = resolve; });
+            const gate = new Promise(resolve => { release = resolve; });
+            const db = app.services.db;
+            const query = db.query;
+            let held = false;
+            db.query = async function(...args) {
+                const res = await query.apply(this, args);
+                if (!held) {
+                    held = true;
+                    loaded();
+                    await gate;
+                }
+                return res;
+            };
+
+            try {
+                const reading = cachedCrud.retrieve('a');
+                await reachedResult;
+                await cachedCrud.update({ id: 'a', username: 'a2' });
+                release();
+                (await reading).username.should.be.exactly('a');
+            } finally {
+                db.query = query;
+            }
+
+            cachedCrud._cache.store.size.should.be.exactly(0);
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a2');
+        });
+
+        it('should invalidate on commit once per transaction', async () => {
+            await cachedCrud.retrieve('a');
+            const { store } = cachedCrud._cache;
+            const clear = store.clear;
+            let clears = 0;
+            store.clear = function() { clears++; return clear.apply(this, arguments); };
+            try {
+                // Each write clears right away, then once more on commit
+                await app.services.db.transaction(async () => {
+                    await cachedCrud.update({ id: 'a', username: 'a2' });
+                    await cachedCrud.update({ id: 'a', username: 'a3' });
+                });
+            } finally {
+                store.clear = clear;
+            }
+            clears.should.be.exactly(3);
+            (await cachedCrud.retrieve('a')).username.should.be.exactly('a3');
+        });
+
+        it('should skip the cache when asked or within a transaction', async () => {
+            await cachedCrud.retrieve('a');
+            await cachedCrud.retrieve('a', { cache: false });
+            queries.should.be.exactly(2);
+
+            await app.services.db.transaction(async (tx) => {
+                await cachedCrud.retrieve('a');
+                await cachedCrud.retrieve('a', { client: tx.client });
+            });
+            queries.should.be.exactly(2 + 4); // BEGIN, 2x SELECT, COMMIT
+        });
+
+        it('should honor per-call ttls', async () => {
+            await cachedCrud.retrieve('a', { cache: { ttlMs: 1 } });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            await cachedCrud.retrieve('a');
+            queries.should.be.exactly(2);
+        });
+
+        it('should use a custom store', async () => {
+            const store = new MemoryCacheStore({ maxEntries: 1 });
+            const storeCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                cache: { store }
+            });
+
+            await storeCrud.retrieve('a');
+            await storeCrud.retrieve('b');
+            store.size.should.be.exactly(1);
+            await storeCrud.retrieve('b');
+            queries.should.be.exactly(2);
+        });
+
+        it('should fall back to the database when the store fails', async () => {
+            const failing = () => Promise.reject(new Error('store down'));
+            const storeCrud = new PostgresCrudService(app, {
+                service: app.services.db,
+                schema: 'crud_test',
+                table: 'user',
+                cache: { store: { get: failing, set: failing, clear: failing } }
+            });
+
+            (await storeCrud.retrieve('a')).id.should.be.exactly('a');
+            await storeCrud.update({ id: 'a', username: 'a2' });
+            reports.map(r => r[0]).should.deepEqual([
+                'PostgresCrudService: Failed to read from cache',
+                'PostgresCrudService: Failed to write to cache',
+                'PostgresCrudService: Failed to invalidate cache'
+            ]);
+        });
+
+    });
+
+    describe('Tenancy', () => {
+
+        const { sql } = require('../');
+        let tenants, hooks;
+
+        class TenantService extends PostgresCrudService {
+
+            constructor(app) {
+                super(app, {
+                    service: app.services.db,
+                    schema: 'tenant_test',
+                    table: 'things',
+                    tenantAware: true
+                });
+            }
+
+            async _createSchema(client, schema) {
+                hooks.push(['createSchema', schema]);
+                await super._createSchema(client, schema);
+            }
+
+            async _updateSchema(client, schema) {
+                hooks.push(['updateSchema', schema]);
+            }
+
+            async _createTable(client, schema) {
+                hooks.push(['createTable', schema]);
+                await this.service.query(sql`
+                    CREATE TABLE ${sql.id(schema, this.table)} (
+                        "id" varchar(255) NOT NULL PRIMARY KEY,
+                        "name" varchar(255) NOT NULL,
+                        "status" varchar(255) NOT NULL,
+                        "updated" timestamp
+                    );`, { client });
+            }
+
+            async _updateTable(client, schema) {
+                hooks.push(['updateTable', schema]);
+            }
+        }
+
+        const dropTenantSchemas = async () => {
+            const { rows } = await app.services.db.query(`SELECT schema_name FROM information_schema.schemata WHERE schema_name LIKE 'tenant\\_test\\_%'`);
+            for (const { schema_name } of rows) await app.services.db.query(sql`DROP SCHEMA ${sql.id(schema_name)} CASCADE`);
+            await app.services.db.query('DROP SCHEMA IF EXISTS tenant_test CASCADE');
+        };
+
+        before(async () => {
+            await dropTenantSchemas();
+            tenants = new TenantService(app);
+        });
+
+        after(async () => {
+            await dropTenantSchemas();
+        });
+
+        beforeEach(() => {
+            hooks = [];
+        });
+
+        it('should provision tenants', async () => {
+            await tenants.provisionTenant('acme');
+            await tenants.provisionTenant('globex');
+            hooks.should.deepEqual([
+                ['createSchema', 'tenant_test_acme'], ['createTable', 'tenant_test_acme'],
+                ['createSchema', 'tenant_test_globex'], ['createTable', 'tenant_test_globex']
+            ]);
+            (await tenants.listTenants()).should.deepEqual(['acme', 'globex']);
+
+            // Provisioning again is harmless
+            hooks = [];
+            await tenants.provisionTenant('acme');
+            hooks.should.deepEqual([['updateSchema', 'tenant_test_acme'], ['updateTable', 'tenant_test_acme']]);
+        });
+
+        it('should only list provisioned tenants', async () => {
+            // Shares the prefix, but isn't a tenant
+            await app.services.db.query('CREATE SCHEMA tenant_test_billing');
+            await tenants.provisionTenant('initech');
+            await app.services.db.query('DROP SCHEMA tenant_test_initech CASCADE');
+
+            (await tenants.listTenants()).should.deepEqual(['acme', 'globex']);
+            (await new PostgresCrudService(app, { service: app.services.db, schema: 'tenant_none', table: 'things', tenantAware: true }).listTenants()).should.deepEqual([]);
+        });
+
+        it('should fan init out across tenant schemas', async () => {
+            await tenants.init();
+            hooks.should.deepEqual([
+                ['updateSchema', 'tenant_test_acme'], ['updateTable', 'tenant_test_acme'],
+                ['updateSchema', 'tenant_test_globex'], ['updateTable', 'tenant_test_globex']
+            ]);
+        });
+
+        it('should route queries to the tenant given in options', async () => {
+            await tenants.create({ id: '1', name: 'acme thing', status: 'active' }, { tenant: 'acme' });
+            await tenants.create({ id: '1', name: 'globex thing', status: 'active' }, { tenant: 'globex' });
+
+            (await tenants.retrieve('1', { tenant: 'acme' })).name.should.be.exactly('acme thing');
+            (await tenants.retrieve('1', { tenant: 'globex' })).name.should.be.exactly('globex thing');
+            (await tenants.find({}, { tenant: 'acme' })).length.should.be.exactly(1);
+            (await tenants.count({}, { tenant: 'globex' })).should.be.exactly(1n);
+
+            const doc = await tenants.retrieve('1', { tenant: 'acme' });
+            await tenants.update(doc, { name: 'nope' }, { tenant: 'acme' });
+            (await tenants.bulkUpdate({ id: '1' }, { name: 'renamed' }, { tenant: 'acme' })).rowCount.should.be.exactly(1);
+            (await tenants.retrieve('1', { tenant: 'acme' })).name.should.be.exactly('renamed');
+            (await tenants.retrieve('1', { tenant: 'globex' })).name.should.be.exactly('globex thing');
+        });
+
+        it('should route queries to the current tenant', async () => {
+            should(app.services.db.currentTenant()).be.exactly(null);
+
+            await app.services.db.withTenant('globex', async () => {
+                app.services.db.currentTenant().should.be.exactly('globex');
+                await tenants.importRows([{ id: '2', name: 'imported', status: 'active' }]);
+                (await tenants.count({})).should.be.exactly(2n);
+                await tenants.delete({ id: '2' });
+                (await tenants.bulkDeletePermanently({ id: '2' }, { conceal: false })).rowCount.should.be.exactly(1);
+
+                // Options still win
+                (await tenants.count({}, { tenant: 'acme' })).should.be.exactly(1n);
+            });
+
+            (await tenants.count({}, { tenant: 'globex' })).should.be.exactly(1n);
+        });
+
+        it('should require a valid tenant', async () => {
+            await tenants.find({}).should.be.rejectedWith(/A tenant is required/);
+            await tenants.create({ id: '3', name: 'x', status: 'active' }, { tenant: 'bad-tenant"' }).should.be.rejectedWith(/letters, digits and underscores/);
+            (() => tenants.exportRows()).should.throw(/A tenant is required/);
+            await crud.provisionTenant('acme').should.be.rejectedWith(/tenantAware/);
+        });
+
+    });
+
+    describe('Replicas', () => {
+
+        let service, replicaCrud, acquired;
+
+        before(async () => {
+            const { pool } = config.postgres.my_database;
+            service = new PostgresService(app, { primary: pool, replicas: [ pool ] });
+            await service.connect();
+            service.on('pool:acquire', (client, pool) => acquired.set(pool, (acquired.get(pool) || 0) + 1));
+
+            replicaCrud = new PostgresCrudService(app, {
+                service,
+                schema: 'crud_test',
+                table: 'user'
+            });
+
+            await purgeTable();
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        beforeEach(() => {
+            acquired = new Map();
+        });
+
+        it('should route reads to replicas', async () => {
+            await replicaCrud.retrieve('a');
+            await replicaCrud.find({ username: 'a' });
+            await replicaCrud.count({ username: 'a' });
+
+            acquired.get(service.replicas[0]).should.be.exactly(3);
+            should(acquired.get(service.pool)).be.undefined();
+        });
+
+        it('should route reads to the primary when asked', async () => {
+            await replicaCrud.retrieve('a', { readOnly: false });
+            acquired.get(service.pool).should.be.exactly(1);
+            should(acquired.get(service.replicas[0])).be.undefined();
+        });
+
+        it('should route writes to the primary', async () => {
+            const doc = await replicaCrud.create({
+                id: 'replica',
+                username: 'replica',
+                email: 'replica@replica.com',
+                status: 'active',
+                created: now,
+                updated: now
+            });
+            await replicaCrud.deletePermanently(doc);
+            acquired.get(service.pool).should.be.exactly(2);
+            should(acquired.get(service.replicas[0])).be.undefined();
+        });
+
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,238 @@
+"use strict";
+
+const should = require('should');
+const FS = require('fs');
+const OS = require('os');
+const Path = require('path');
+
+describe('PostgresMigrator', () => {
+
+    const { PostgresService, PostgresCrudService, PostgresMigrator, sql } = require('../');
+    const OkanjoApp = require('okanjo-app');
+    const config = require('./config');
+
+    let app, service, calls;
+
+    const migration = (id, extra) => Object.assign({
+        id,
+        up: async (tx, context) => {
+            calls.push(`up:${id}`);
+            await tx.query(`CREATE TABLE "migrate_test"."${id}" ("id" int)`);
+            if (context.fail === id) throw new Error('boom');
+        },
+        down: async (tx) => {
+            calls.push(`down:${id}`);
+            await tx.query(`DROP TABLE "migrate_test"."${id}"`);
+        }
+    }, extra);
+
+    const migrator = (migrations, options) => new PostgresMigrator(service, Object.assign({ migrations, schema: 'migrate_test' }, options));
+
+    const tableExists = async (schema, table) => {
+        const res = await service.query(sql`SELECT 1 FROM pg_catalog.pg_tables WHERE schemaname = ${schema} AND tablename = ${table}`);
+        return res.rowCount > 0;
+    };
+
+    before(async () => {
+        app = new OkanjoApp(config);
+        app.services = {
+            db: new PostgresService(app, app.config.postgres.my_database.pool)
+        };
+        await app.connectToServices();
+        service = app.services.db;
+    });
+
+    after(async () => {
+        await service.query('DROP SCHEMA IF EXISTS migrate_test CASCADE');
+        await service.query('DROP SCHEMA IF EXISTS migrate_crud CASCADE');
+        await service.close();
+    });
+
+    beforeEach(async () => {
+        calls = [];
+        await service.query('DROP SCHEMA IF EXISTS migrate_test CASCADE');
+    });
+
+    it('should require migrations', () => {
+        (() => new PostgresMigrator(service, {})).should.throw(/migrations/);
+        (() => new PostgresMigrator(service, { migrations: 42 })).should.throw(/migrations/);
+    });
+
+    it('should validate migrations', async () => {
+        await migrator([{ up: async () => {} }]).up().should.be.rejectedWith(/string `id`/);
+        await migrator([{ id: 'a' }]).up().should.be.rejectedWith(/up function/);
+        await migrator([migration('a'), migration('a')]).up().should.be.rejectedWith(/Duplicate migration id: a/);
+    });
+
+    it('should apply pending migrations in order, once', async () => {
+        const migrations = [migration('m1'), migration('m2')];
+        (await migrator(migrations).up()).should.deepEqual(['m1', 'm2']);
+        (await migrator(migrations).up()).should.deepEqual([]);
+
+        migrations.push(migration('m3'));
+        (await migrator(migrations).up()).should.deepEqual(['m3']);
+        calls.should.deepEqual(['up:m1', 'up:m2', 'up:m3']);
+
+        (await tableExists('migrate_test', 'm3')).should.be.exactly(true);
+        const res = await service.query('SELECT scope, id, length(checksum) AS len FROM migrate_test.schema_migrations ORDER BY id');
+        res.rows.should.deepEqual([
+            { scope: 'default', id: 'm1', len: 64 },
+            { scope: 'default', id: 'm2', len: 64 },
+            { scope: 'default', id: 'm3', len: 64 }
+        ]);
+    });
+
+    it('should roll back a failed migration and stop', async () => {
+        const migrations = [migration('m1'), migration('m2'), migration('m3')];
+        await migrator(migrations, { context: { fail: 'm2' } }).up().should.be.rejectedWith('boom');
+        calls.should.deepEqual(['up:m1', 'up:m2']);
+
+        (await tableExists('migrate_test', 'm1')).should.be.exactly(true);
+        (await tableExists('migrate_test', 'm2')).should.be.exactly(false);
+        (await migrator(migrations).status()).map(m => m.applied).should.deepEqual([true, false, false]);
+    });
+
+    it('should roll back the last migrations', async () => {
+        const migrations = [migration('m1'), migration('m2'), migration('m3')];
+        await migrator(migrations).up();
+
+        (await migrator(migrations).down()).should.deepEqual(['m3']);
+        (await migrator(migrations).down({ steps: 5 })).should.deepEqual(['m2', 'm1']);
+        (await migrator(migrations).down()).should.deepEqual([]);
+        calls.should.deepEqual(['up:m1', 'up:m2', 'up:m3', 'down:m3', 'down:m2', 'down:m1']);
+        (await tableExists('migrate_test', 'm1')).should.be.exactly(false);
+
+        await migrator(migrations).down({ steps: 0 }).should.be.rejectedWith(/steps/);
+    });
+
+    it('should refuse to roll back migrations without down', async () => {
+        const migrations = [migration('m1', { down: undefined })];
+        await migrator(migrations).up();
+        await migrator(migrations).down().should.be.rejectedWith(/m1 cannot be rolled back/);
+        await migrator([]).down().should.be.rejectedWith(/not found: m1/);
+    });
+
+    it('should report status and checksum drift', async () => {
+        const [pending] = await migrator([migration('m1')]).status();
+        pending.checksum.should.match(/^[0-9a-f]{64}$/);
+        pending.should.deepEqual({ id: 'm1', applied: false, appliedAt: null, checksum: pending.checksum, appliedChecksum: null, drift: false, missing: false });
+
+        await migrator([migration('m1', { checksum: 'one' }), migration('m2', { checksum: 'two' })]).up();
+        const status = await migrator([migration('m1', { checksum: 'edited' }), migration('m3')]).status();
+
+        status.map(({ id, applied, checksum, appliedChecksum, drift, missing }) => ({ id, applied, checksum, appliedChecksum, drift, missing })).should.deepEqual([
+            { id: 'm1', applied: true, checksum: 'edited', appliedChecksum: 'one', drift: true, missing: false },
+            { id: 'm3', applied: false, checksum: status[1].checksum, appliedChecksum: null, drift: false, missing: false },
+            { id: 'm2', applied: true, checksum: null, appliedChecksum: 'two', drift: false, missing: true }
+        ]);
+        status[0].appliedAt.should.be.instanceOf(Date);
+
+        await migrator([migration('m1', { checksum: 'edited' })]).up().should.be.rejectedWith(/have changed since they ran: m1/);
+    });
+
+    it('should keep scopes apart', async () => {
+        await migrator([migration('m1')], { scope: 'one' }).up();
+        (await migrator([migration('m2')], { scope: 'two' }).up()).should.deepEqual(['m2']);
+        (await migrator([migration('m1')], { scope: 'two' }).status())[0].applied.should.be.exactly(false);
+    });
+
+    it('should not race concurrent runs', async () => {
+        const migrations = [migration('m1'), migration('m2')];
+        const results = await Promise.all([migrator(migrations).up(), migrator(migrations).up()]);
+        results.sort((a, b) => b.length - a.length).should.deepEqual([['m1', 'm2'], []]);
+        calls.should.deepEqual(['up:m1', 'up:m2']);
+    });
+
+    it('should run with a single connection', async () => {
+        const single = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { max: 1 }));
+        await single.connect();
+        try {
+            const migrations = [migration('m1'), migration('m2')];
+            (await new PostgresMigrator(single, { migrations, schema: 'migrate_test' }).up()).should.deepEqual(['m1', 'm2']);
+            (await new PostgresMigrator(single, { migrations, schema: 'migrate_test' }).down()).should.deepEqual(['m2']);
+        } finally {
+            await single.close();
+        }
+    });
+
+    it('should load migrations from a directory', async () => {
+        const dir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'pg-migrations-'));
+        try {
+            FS.writeFileSync(Path.join(dir, '002_second.js'), 'exports.up = tx => tx.query(\'CREATE TABLE "migrate_test"."second" ("id" int)\');\n');
+            FS.writeFileSync(Path.join(dir, '001_first.js'), 'exports.up = tx => tx.query(\'CREATE TABLE "migrate_test"."first" ("id" int)\');\nexports.down = tx => tx.query(\'DROP TABLE "migrate_test"."first"\');\n');
+            FS.writeFileSync(Path.join(dir, 'README.md'), 'not a migration');
+
+            (await migrator(dir).up()).should.deepEqual(['001_first', '002_second']);
+            (await tableExists('migrate_test', 'second')).should.be.exactly(true);
+
+            // Editing a file changes its checksum
+            FS.appendFileSync(Path.join(dir, '001_first.js'), '// edited\n');
+            (await migrator(dir).status())[0].drift.should.be.exactly(true);
+        } finally {
+            FS.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    describe('PostgresCrudService', () => {
+
+        class MigratedService extends PostgresCrudService {
+            constructor(app, options) {
+                super(app, Object.assign({
+                    service: app.services.db,
+                    schema: 'migrate_crud',
+                    table: 'things',
+                    migrations: [
+                        {
+                            id: '001_create',
+                            up: (tx, { schema, table }) => tx.query(sql`CREATE TABLE ${sql.id(schema, table)} ("id" varchar(255) PRIMARY KEY, "status" varchar(255) NOT NULL)`),
+                            down: (tx, { schema, table }) => tx.query(sql`DROP TABLE ${sql.id(schema, table)}`)
+                        },
+                        {
+                            id: '002_add_name',
+                            up: (tx, { crud }) => tx.query(sql`ALTER TABLE ${crud._tableId()} ADD COLUMN "name" varchar(255)`),
+                            down: (tx, { crud }) => tx.query(sql`ALTER TABLE ${crud._tableId()} DROP COLUMN "name"`)
+                        }
+                    ]
+                }, options));
+            }
+        }
+
+        before(async () => {
+            await service.query('DROP SCHEMA IF EXISTS migrate_crud CASCADE');
+        });
+
+        it('should apply its migrations on init', async () => {
+            const things = new MigratedService(app);
+            await things.init();
+            await things.init();
+
+            (await things.create({ id: 'a', status: 'active', name: 'A' })).name.should.be.exactly('A');
+            const res = await service.query('SELECT scope, id FROM migrate_crud.schema_migrations ORDER BY id');
+            res.rows.should.deepEqual([{ scope: 'things', id: '001_create' }, { scope: 'things', id: '002_add_name' }]);
+
+            (await things.migrator().down()).should.deepEqual(['002_add_name']);
+            should(await things.retrieve('a')).not.have.property('name');
+        });
+
+        it('should migrate each tenant', async () => {
+            await service.query('DROP SCHEMA IF EXISTS migrate_crud_acme CASCADE');
+            const things = new MigratedService(app, { tenantAware: true });
+            try {
+                await things.provisionTenant('acme');
+                (await things.migrator({ tenant: 'acme' }).status()).map(m => m.applied).should.deepEqual([true, true]);
+                (await service.withTenant('acme', () => things.migrator().down())).should.deepEqual(['002_add_name']);
+                await things.provisionTenant('acme');
+                await service.withTenant('acme', () => things.create({ id: 'a', status: 'active', name: 'A' }));
+                (() => things.migrator()).should.throw(/tenant is required/);
+            } finally {
+                await service.query('DROP SCHEMA IF EXISTS migrate_crud_acme CASCADE');
+            }
+        });
+
+        it('should require migrations to get a migrator', () => {
+            (() => new PostgresCrudService(app, { service, schema: 'migrate_crud', table: 'x' }).migrator()).should.throw(/No `migrations`/);
+        });
+
+    });
+
+});
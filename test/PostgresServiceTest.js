@@ -1,6 +1,8 @@
 "use strict";
 
 const should = require('should');
+const { captureReports } = require('./env');
+const { types: pgTypes } = require('pg');
 
 describe('PostgresService', () => {
 
@@ -61,6 +63,31 @@ describe('PostgresService', () => {
         res.rowCount.should.be.greaterThan(0);
     });
 
+    it('should query w/ a sql fragment', async () => {
+        const { sql } = require('../');
+        let res = await app.services.db.query(sql`SELECT ${sql.id('datname')} FROM pg_database WHERE ${1} = ${1}`);
+        res.rowCount.should.be.greaterThan(0);
+
+        // Options in place of args
+        const client = await app.services.db.getConnection();
+        res = await app.services.db.query(sql`SELECT ${'a'}::text AS a`, { client });
+        res.rows[0].a.should.be.exactly('a');
+        res = await app.services.db.query(sql`SELECT ${'b'}::text AS b`, [], { client });
+        res.rows[0].b.should.be.exactly('b');
+        client.release();
+
+        await app.services.db.transaction(async (tx) => {
+            res = await tx.query(sql`SELECT ${'c'}::text AS c`, { suppress: /nope/ });
+            res.rows[0].c.should.be.exactly('c');
+        });
+
+        const rows = [];
+        for await (const row of app.services.db.stream(sql`SELECT g FROM generate_series(1, ${3}::int) g`, { batchSize: 2 })) {
+            rows.push(row.g);
+        }
+        rows.should.deepEqual([1, 2, 3]);
+    });
+
     it('should report query errors', async () => {
         await app.services.db.query('SHOW DATATHINGS;')
             .should.be.rejectedWith(/unrecognized configuration parameter/);
@@ -85,6 +112,2131 @@ describe('PostgresService', () => {
         client.release();
     });
 
+    describe('stream', () => {
+
+        const series = 'SELECT g AS n FROM generate_series(1, $1::int) g ORDER BY g';
+
+        const assertReleased = () => {
+            const { pool } = app.services.db;
+            pool.idleCount.should.be.exactly(pool.totalCount);
+        };
+
+        it('should iterate every row in batches', async () => {
+            const rows = [];
+            for await (const row of app.services.db.stream(series, [250], { batchSize: 100 })) {
+                rows.push(row.n);
+            }
+            rows.length.should.be.exactly(250);
+            rows[0].should.be.exactly(1);
+            rows[249].should.be.exactly(250);
+            assertReleased();
+        });
+
+        it('should handle result sets that are a multiple of the batch size', async () => {
+            let count = 0;
+            for await (const row of app.services.db.stream(series, [20], { batchSize: 10 })) {
+                row.n.should.be.exactly(++count);
+            }
+            count.should.be.exactly(20);
+
+            count = 0;
+            for await (const row of app.services.db.stream(series, [0])) { // eslint-disable-line no-unused-vars
+                count++;
+            }
+            count.should.be.exactly(0);
+            assertReleased();
+        });
+
+        it('should release the client when iteration stops early', async () => {
+            const rows = [];
+            for await (const row of app.services.db.stream(series, [100], { batchSize: 10 })) {
+                rows.push(row.n);
+                if (rows.length === 15) break;
+            }
+            rows.length.should.be.exactly(15);
+            assertReleased();
+
+            // The client should be usable again
+            const res = await app.services.db.query('SELECT 1 AS one');
+            res.rows[0].one.should.be.exactly(1);
+        });
+
+        it('should release the client when the consumer throws', async () => {
+            const consume = async () => {
+                for await (const row of app.services.db.stream(series, [100], { batchSize: 10 })) {
+                    if (row.n === 5) throw new Error('consumer nope');
+                }
+            };
+            await consume().should.be.rejectedWith(/consumer nope/);
+            assertReleased();
+        });
+
+        it('should report and reject query errors', async () => {
+            const consume = async () => {
+                for await (const row of app.services.db.stream('SELECT bogus_column FROM pg_database')) { // eslint-disable-line no-unused-vars
+                    // nope
+                }
+            };
+            await consume().should.be.rejectedWith(/bogus_column/);
+            assertReleased();
+        });
+
+        it('should suppress query errors', async () => {
+            const consume = async () => {
+                for await (const row of app.services.db.stream('SELECT bogus_column FROM pg_database', [], { suppress: /bogus_column/ })) { // eslint-disable-line no-unused-vars
+                    // nope
+                }
+            };
+            await consume().should.be.rejectedWith(/bogus_column/);
+        });
+
+        it('should reject a bad batch size', async () => {
+            await app.services.db.stream(series, [1], { batchSize: 0 }).next()
+                .should.be.rejectedWith(/batchSize/);
+        });
+
+        it('should stream on a given client in a transaction', async () => {
+            await app.services.db.transaction(async (tx) => {
+                let count = 0;
+                for await (const row of app.services.db.stream(series, [30], { client: tx.client, batchSize: 7 })) {
+                    row.n.should.be.exactly(++count);
+                    if (count === 10) break;
+                }
+                count.should.be.exactly(10);
+
+                // Still in the transaction
+                await tx.query('SELECT 1');
+            });
+            assertReleased();
+        });
+
+    });
+
+    describe('copy', () => {
+
+        const { Readable } = require('stream');
+
+        const collect = async (stream) => {
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            return Buffer.concat(chunks);
+        };
+
+        const assertReleased = () => {
+            const { pool } = app.services.db;
+            pool.idleCount.should.be.exactly(pool.totalCount);
+        };
+
+        const created = new Date('2017-11-30T17:17:34-06:00');
+
+        before(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS copy_test CASCADE;');
+            await app.services.db.query('CREATE SCHEMA copy_test;');
+            await app.services.db.query(`
+                CREATE TABLE copy_test.things (
+                    "id" int NOT NULL PRIMARY KEY,
+                    "name" text,
+                    "data" jsonb,
+                    "flag" boolean,
+                    "created" timestamp
+                );`
+            );
+            await app.services.db.query('CREATE TABLE copy_test.things_copy (LIKE copy_test.things);');
+        });
+
+        afterEach(async () => {
+            await app.services.db.query('DELETE FROM copy_test.things WHERE true;');
+            await app.services.db.query('DELETE FROM copy_test.things_copy WHERE true;');
+        });
+
+        it('should copy object rows in csv format', async () => {
+            const res = await app.services.db.copyFrom('copy_test.things', null, [
+                { id: 1, name: 'plain', data: { a: 1 }, flag: true, created },
+                { id: 2, name: 'with, "quotes"\nand lines', data: null, flag: false, created: null },
+                { id: 3, name: '', data: { b: [1, 2] }, flag: null, created },
+                { id: 4, name: null },
+            ], { format: 'csv' });
+            res.rowCount.should.be.exactly(4);
+
+            const { rows } = await app.services.db.query('SELECT * FROM copy_test.things ORDER BY id');
+            rows[0].should.deepEqual({ id: 1, name: 'plain', data: { a: 1 }, flag: true, created });
+            rows[1].should.deepEqual({ id: 2, name: 'with, "quotes"\nand lines', data: null, flag: false, created: null });
+            rows[2].should.deepEqual({ id: 3, name: '', data: { b: [1, 2] }, flag: null, created });
+            rows[3].should.deepEqual({ id: 4, name: null, data: null, flag: null, created: null });
+            assertReleased();
+        });
+
+        it('should copy array rows in text format', async () => {
+            const res = await app.services.db.copyFrom(['copy_test', 'things'], ['id', 'name'], [
+                [1, 'tab\there'],
+                [2, 'back\\slash\r\n'],
+                [3, null],
+            ]);
+            res.rowCount.should.be.exactly(3);
+
+            const { rows } = await app.services.db.query('SELECT id, name FROM copy_test.things ORDER BY id');
+            rows.should.deepEqual([
+                { id: 1, name: 'tab\there' },
+                { id: 2, name: 'back\\slash\r\n' },
+                { id: 3, name: null },
+            ]);
+        });
+
+        it('should copy from a stream', async () => {
+            const source = Readable.from(['id,name\n', '1,one\n2,', 'two\n']);
+            const res = await app.services.db.copyFrom('copy_test.things', ['id', 'name'], source, { format: 'csv', header: true });
+            res.rowCount.should.be.exactly(2);
+            assertReleased();
+        });
+
+        it('should copy on a given client', async () => {
+            await app.services.db.transaction(async (tx) => {
+                await app.services.db.copyFrom('copy_test.things', ['id'], [[1]], { client: tx.client });
+                throw new Error('nope');
+            }).should.be.rejectedWith(/nope/);
+
+            const res = await app.services.db.query('SELECT COUNT(*)::int AS count FROM copy_test.things');
+            res.rows[0].count.should.be.exactly(0);
+        });
+
+        it('should report and reject copy failures', async () => {
+            await app.services.db.copyFrom('copy_test.nope', ['id'], [[1]])
+                .should.be.rejectedWith(/nope/);
+            await app.services.db.copyFrom('copy_test.things', ['id'], [['not a number']], { format: 'csv' })
+                .should.be.rejectedWith(/integer/);
+            assertReleased();
+        });
+
+        it('should reject bad formats', async () => {
+            await app.services.db.copyFrom('copy_test.things', ['id'], [[1]], { format: 'binary' })
+                .should.be.rejectedWith(/csv or text/);
+            await app.services.db.copyFrom('copy_test.things', ['id'], [[1]], { format: 'xml' })
+                .should.be.rejectedWith(/Unknown COPY format/);
+            (() => app.services.db.copyTo('copy_test.things', { format: 'xml' })).should.throw(/Unknown COPY format/);
+        });
+
+        it('should copy a table out', async () => {
+            await app.services.db.copyFrom('copy_test.things', ['id', 'name'], [[1, 'one'], [2, 'two, too']], { format: 'csv' });
+
+            let data = await collect(app.services.db.copyTo('copy_test.things', { format: 'csv', columns: ['id', 'name'], header: true }));
+            data.toString().should.be.exactly('id,name\n1,one\n2,"two, too"\n');
+
+            data = await collect(app.services.db.copyTo(['copy_test', 'things'], { columns: ['name'] }));
+            data.toString().should.be.exactly('one\ntwo, too\n');
+            assertReleased();
+        });
+
+        it('should copy a query out', async () => {
+            await app.services.db.copyFrom('copy_test.things', ['id', 'name'], [[1, 'one'], [2, 'two']]);
+            const data = await collect(app.services.db.copyTo('SELECT name FROM copy_test.things WHERE id > 1'));
+            data.toString().should.be.exactly('two\n');
+        });
+
+        it('should round-trip binary format', async () => {
+            await app.services.db.copyFrom('copy_test.things', null, [
+                { id: 1, name: 'one', data: { a: 1 }, flag: true, created },
+            ]);
+            const res = await app.services.db.copyFrom('copy_test.things_copy', null, app.services.db.copyTo('copy_test.things', { format: 'binary' }), { format: 'binary' });
+            res.rowCount.should.be.exactly(1);
+
+            const { rows } = await app.services.db.query('SELECT * FROM copy_test.things_copy');
+            rows.should.deepEqual([{ id: 1, name: 'one', data: { a: 1 }, flag: true, created }]);
+        });
+
+        it('should report and emit copy out failures', async () => {
+            await collect(app.services.db.copyTo('SELECT nope FROM copy_test.things'))
+                .should.be.rejectedWith(/nope/);
+            await new Promise(resolve => setImmediate(resolve));
+            assertReleased();
+        });
+
+    });
+
+    describe('transaction', () => {
+
+        const reports = captureReports(() => app);
+
+        const count = async (client) => {
+            const res = await app.services.db.query('SELECT COUNT(*)::int AS count FROM tx_test.things', [], { client });
+            return res.rows[0].count;
+        };
+
+        before(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS tx_test CASCADE;');
+            await app.services.db.query('CREATE SCHEMA tx_test;');
+            await app.services.db.query('CREATE TABLE tx_test.things ("id" varchar(255) NOT NULL PRIMARY KEY);');
+        });
+
+        afterEach(async () => {
+            await app.services.db.query('DELETE FROM tx_test.things WHERE true;');
+        });
+
+        it('should commit when the function resolves', async () => {
+            const res = await app.services.db.transaction(async (tx) => {
+                should(tx.client).be.ok();
+                tx.depth.should.be.exactly(0);
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                return 'done';
+            });
+            res.should.be.exactly('done');
+            (await count()).should.be.exactly(1);
+        });
+
+        it('should rollback and rethrow when the function rejects', async () => {
+            await app.services.db.transaction(async (tx) => {
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                throw new Error('nope');
+            }).should.be.rejectedWith(/nope/);
+            (await count()).should.be.exactly(0);
+        });
+
+        it('should release the client back to the pool', async () => {
+            const { pool } = app.services.db;
+            await app.services.db.transaction(async () => {
+                pool.idleCount.should.be.exactly(pool.totalCount - 1);
+            });
+            pool.idleCount.should.be.exactly(pool.totalCount);
+
+            await app.services.db.transaction(async () => { throw new Error('nope'); }).should.be.rejected();
+            pool.idleCount.should.be.exactly(pool.totalCount);
+        });
+
+        it('should run after commit functions once committed', async () => {
+            const calls = [];
+            await app.services.db.transaction(async (tx) => {
+                tx.afterCommit(async () => calls.push(['root', app.services.db.currentTransaction(), await count()]));
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                await tx.transaction(async (inner) => inner.afterCommit(() => calls.push(['released'])));
+                await tx.transaction(async (inner) => {
+                    inner.afterCommit(() => calls.push(['rolled back']));
+                    throw new Error('inner nope');
+                }).should.be.rejectedWith('inner nope');
+                calls.should.deepEqual([]);
+            });
+            calls.should.deepEqual([['root', null, 1], ['released']]);
+
+            calls.length = 0;
+            await app.services.db.transaction(async (tx) => {
+                tx.afterCommit(() => calls.push(['root']));
+                throw new Error('nope');
+            }).should.be.rejectedWith('nope');
+            calls.should.deepEqual([]);
+        });
+
+        it('should report after commit failures without failing the transaction', async () => {
+            (await app.services.db.transaction(async (tx) => {
+                tx.afterCommit(() => { throw new Error('hook nope'); });
+                return 'done';
+            })).should.be.exactly('done');
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: After commit function failed']);
+        });
+
+        it('should run on a given client without releasing it', async () => {
+            const client = await app.services.db.getConnection();
+            try {
+                await app.services.db.transaction(async (tx) => {
+                    tx.client.should.be.exactly(client);
+                    await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                }, { client });
+                await app.services.db.transaction(async () => { throw new Error('nope'); }, { client }).should.be.rejectedWith(/nope/);
+
+                // Still ours, and out of the transaction
+                (await count(client)).should.be.exactly(1);
+                (await client.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            } finally {
+                client.release();
+            }
+        });
+
+        it('should apply transaction options', async () => {
+            await app.services.db.transaction(async (tx) => {
+                const res = await tx.query('SHOW transaction_isolation');
+                res.rows[0].transaction_isolation.should.be.exactly('serializable');
+
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a'])
+                    .should.be.rejectedWith(/read-only/);
+            }, { isolationLevel: PostgresService.ISOLATION_LEVELS.SERIALIZABLE, readOnly: true, deferrable: true });
+
+            await app.services.db.transaction(async (tx) => {
+                const res = await tx.query('SHOW transaction_isolation');
+                res.rows[0].transaction_isolation.should.be.exactly('repeatable read');
+            }, { isolationLevel: 'repeatable_read', readOnly: false, deferrable: false });
+        });
+
+        it('should reject unknown isolation levels', async () => {
+            await app.services.db.transaction(async () => {}, { isolationLevel: 'bogus' })
+                .should.be.rejectedWith(/isolation level/);
+        });
+
+        it('should commit nested transactions as savepoints', async () => {
+            await app.services.db.transaction(async (tx) => {
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                const res = await tx.transaction(async (inner) => {
+                    inner.depth.should.be.exactly(1);
+                    inner.parent.should.be.exactly(tx);
+                    inner.client.should.be.exactly(tx.client);
+                    await inner.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['b']);
+                    return 'inner';
+                });
+                res.should.be.exactly('inner');
+            });
+            (await count()).should.be.exactly(2);
+        });
+
+        it('should only rollback the savepoint when a nested transaction fails', async () => {
+            await app.services.db.transaction(async (tx) => {
+                await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                await tx.transaction(async (inner) => {
+                    await inner.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['b']);
+                    await inner.transaction(async (innermost) => {
+                        await innermost.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['c']);
+                    });
+                    throw new Error('inner nope');
+                }).should.be.rejectedWith(/inner nope/);
+                (await count(tx.client)).should.be.exactly(1);
+            });
+            (await count()).should.be.exactly(1);
+        });
+
+        describe('ambient transaction', () => {
+
+            const insert = (id, options) => app.services.db.query('INSERT INTO tx_test.things (id) VALUES ($1)', [id], options);
+
+            it('should join queries made without a client', async () => {
+                should(app.services.db.currentTransaction()).be.exactly(null);
+
+                await app.services.db.transaction(async (tx) => {
+                    app.services.db.currentTransaction().should.be.exactly(tx);
+
+                    // Deep in some other module, with no idea there's a transaction going on
+                    await new Promise(resolve => setImmediate(resolve));
+                    await insert('a');
+                    (await count()).should.be.exactly(1);
+
+                    const rows = [];
+                    for await (const row of app.services.db.stream('SELECT id FROM tx_test.things')) rows.push(row.id);
+                    rows.should.deepEqual(['a']);
+
+                    throw new Error('nope');
+                }).should.be.rejectedWith('nope');
+
+                (await count()).should.be.exactly(0);
+                should(app.services.db.currentTransaction()).be.exactly(null);
+            });
+
+            it('should prefer an explicit client, and allow opting out', async () => {
+                const other = await app.services.db.getConnection();
+                let explicit, outside;
+                try {
+                    await app.services.db.transaction(async () => {
+                        await insert('a');
+
+                        // Both run on other clients, so they're committed no matter what happens to the transaction
+                        explicit = insert('b', { client: other });
+                        outside = insert('c', { outsideTransaction: true });
+                        throw new Error('nope');
+                    }).should.be.rejectedWith('nope');
+                    await Promise.all([explicit, outside]);
+                } finally {
+                    other.release();
+                }
+
+                const res = await app.services.db.query('SELECT id FROM tx_test.things ORDER BY id');
+                res.rows.should.deepEqual([{ id: 'b' }, { id: 'c' }]);
+            });
+
+            it('should join nested transactions', async () => {
+                await app.services.db.transaction(async (tx) => {
+                    await tx.transaction(async (inner) => {
+                        app.services.db.currentTransaction().should.be.exactly(inner);
+                        await insert('a');
+                        throw new Error('inner nope');
+                    }).should.be.rejectedWith('inner nope');
+
+                    app.services.db.currentTransaction().should.be.exactly(tx);
+                    await insert('b');
+                });
+
+                const res = await app.services.db.query('SELECT id FROM tx_test.things');
+                res.rows.should.deepEqual([{ id: 'b' }]);
+            });
+
+            it('should run nested service transactions as savepoints', async () => {
+                let outside;
+                await app.services.db.transaction(async (tx) => {
+                    await insert('a');
+
+                    (await app.services.db.transaction(async (inner) => {
+                        inner.parent.should.be.exactly(tx);
+                        inner.client.should.be.exactly(tx.client);
+                        await insert('b');
+                        return count();
+                    })).should.be.exactly(2);
+
+                    await app.services.db.transaction(async () => {
+                        await insert('c');
+                        throw new Error('inner nope');
+                    }).should.be.rejectedWith('inner nope');
+
+                    // An independent transaction commits on its own
+                    outside = app.services.db.transaction(() => insert('d'), { outsideTransaction: true });
+                    throw new Error('nope');
+                }).should.be.rejectedWith('nope');
+                await outside;
+
+                const res = await app.services.db.query('SELECT id FROM tx_test.things');
+                res.rows.should.deepEqual([{ id: 'd' }]);
+            });
+
+            it('should not join a transaction that already finished', async () => {
+                let later;
+                await app.services.db.transaction(async () => {
+                    later = new Promise(resolve => setTimeout(resolve, 10))
+                        .then(() => {
+                            should(app.services.db.currentTransaction()).be.exactly(null);
+                            return insert('late');
+                        });
+                });
+
+                await later;
+                (await count()).should.be.exactly(1);
+            });
+
+            it('should keep separate services apart', async () => {
+                const s = new PostgresService(app, config.postgres.my_database.pool);
+                await s.connect();
+                let pending;
+                await app.services.db.transaction(async () => {
+                    should(s.currentTransaction()).be.exactly(null);
+                    pending = s.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                    throw new Error('nope');
+                }).should.be.rejectedWith('nope');
+                await pending;
+                await s.close();
+
+                (await count()).should.be.exactly(1);
+            });
+
+        });
+
+        describe('retry', () => {
+
+            const failWith = (tx, code) => tx.query(`DO $$ BEGIN RAISE EXCEPTION 'simulated' USING ERRCODE = '${code}'; END $$;`);
+
+            it('should re-run the function on serialization failures and deadlocks', async () => {
+                let attempts = 0;
+                const retries = [];
+                const res = await app.services.db.transaction(async (tx) => {
+                    attempts++;
+                    await tx.query('INSERT INTO tx_test.things (id) VALUES ($1)', ['a']);
+                    if (attempts === 1) await failWith(tx, '40001');
+                    if (attempts === 2) await failWith(tx, '40P01');
+                    return attempts;
+                }, {
+                    isolationLevel: 'serializable',
+                    retry: {
+                        maxAttempts: 3,
+                        baseDelayMs: 1,
+                        onRetry: async (err, info) => { retries.push([err.code, info.attempt]); }
+                    }
+                });
+
+                res.should.be.exactly(3);
+                retries.should.deepEqual([['40001', 1], ['40P01', 2]]);
+                reports.should.deepEqual([]);
+                (await count()).should.be.exactly(1);
+            });
+
+            it('should report and reject the final failure once attempts run out', async () => {
+                let attempts = 0;
+                await app.services.db.transaction(async (tx) => {
+                    attempts++;
+                    await failWith(tx, '40001');
+                }, { retry: { maxAttempts: 2, baseDelayMs: 1 } })
+                    .should.be.rejectedWith({ code: '40001' });
+
+                attempts.should.be.exactly(2);
+                reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to execute query']);
+            });
+
+            it('should use default retry settings', async () => {
+                let attempts = 0;
+                await app.services.db.transaction(async (tx) => {
+                    attempts++;
+                    if (attempts < 3) await failWith(tx, '40001');
+                }, { retry: true });
+
+                attempts.should.be.exactly(3);
+                reports.should.deepEqual([]);
+            });
+
+            it('should not retry other errors', async () => {
+                let attempts = 0;
+                await app.services.db.transaction(async (tx) => {
+                    attempts++;
+                    await failWith(tx, '23505');
+                }, { retry: true })
+                    .should.be.rejectedWith({ code: '23505' });
+
+                attempts.should.be.exactly(1);
+                reports.length.should.be.exactly(1);
+            });
+
+            it('should not retry without retry options', async () => {
+                let attempts = 0;
+                await app.services.db.transaction(async (tx) => {
+                    attempts++;
+                    await failWith(tx, '40001');
+                })
+                    .should.be.rejectedWith({ code: '40001' });
+
+                attempts.should.be.exactly(1);
+                reports.length.should.be.exactly(1);
+            });
+
+        });
+
+    });
+
+    describe('replicas', () => {
+
+        let service, acquired;
+        const reports = captureReports(() => app);
+        const { pool } = config.postgres.my_database;
+        const deadReplica = Object.assign({}, pool, { port: 1, connectionTimeoutMillis: 250 });
+
+        before(async () => {
+            service = new PostgresService(app, {
+                primary: pool,
+                replicas: [ pool, deadReplica, pool ],
+                replicaRetryMs: 200
+            });
+            await service.connect();
+            service.on('pool:acquire', (client, pool) => acquired.set(pool, (acquired.get(pool) || 0) + 1));
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        beforeEach(() => {
+            acquired = new Map();
+        });
+
+        it('should create a pool for the primary and each replica', () => {
+            service.pool.should.be.ok();
+            service.replicas.length.should.be.exactly(3);
+        });
+
+        it('should balance read-only queries across healthy replicas', async () => {
+            for (let i = 0; i < 6; i++) {
+                const res = await service.query('SELECT 1 AS one', [], { readOnly: true });
+                res.rows[0].one.should.be.exactly(1);
+            }
+
+            // Dead replica gets pulled from rotation and reported once
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Replica unavailable, removing from rotation']);
+            service.replicas[0].totalCount.should.be.greaterThan(0);
+            service.replicas[2].totalCount.should.be.greaterThan(0);
+            service.replicas[1].totalCount.should.be.exactly(0);
+            should(acquired.get(service.pool)).be.undefined();
+        });
+
+        it('should keep writes and transactions on the primary', async () => {
+            await service.query('SELECT 1 AS one');
+            await service.transaction(async (tx) => {
+                await tx.query('SELECT 1 AS one', [], { readOnly: true });
+            }, { readOnly: true });
+            acquired.get(service.pool).should.be.exactly(2);
+        });
+
+        it('should try an unhealthy replica again after the retry interval', async function() {
+            this.timeout(2000);
+            await new Promise(resolve => setTimeout(resolve, 250));
+            const dead = service.replicas[1];
+            service._unhealthyReplicas.get(dead).should.be.lessThan(Date.now());
+
+            for (let i = 0; i < 3; i++) {
+                await service.query('SELECT 1 AS one', [], { readOnly: true });
+            }
+
+            // Still down, so it goes back out of rotation without reporting again
+            service._unhealthyReplicas.get(dead).should.be.greaterThan(Date.now());
+            reports.should.deepEqual([]);
+        });
+
+        it('should return a recovered replica to rotation', async function() {
+            this.timeout(2000);
+            await new Promise(resolve => setTimeout(resolve, 250));
+
+            // Simulate the replica coming back
+            const dead = service.replicas[1];
+            const recovered = service.replicas[0];
+            service.replicas[1] = recovered;
+            service._unhealthyReplicas.set(recovered, Date.now() - 1);
+            service._nextReplica = 1;
+
+            await service.getConnection({ readOnly: true }).then(client => client.release());
+            service._unhealthyReplicas.has(recovered).should.be.exactly(false);
+            service.replicas[1] = dead;
+        });
+
+        it('should fall back to the primary when no replicas are healthy', async () => {
+            const primaryCount = service.pool.totalCount;
+            const s = new PostgresService(app, { primary: pool, replicas: [ deadReplica ] });
+            await s.connect();
+            const res = await s.query('SELECT 1 AS one', [], { readOnly: true });
+            res.rows[0].one.should.be.exactly(1);
+            s.pool.totalCount.should.be.exactly(1);
+            reports.length.should.be.exactly(1);
+            await s.close();
+            service.pool.totalCount.should.be.exactly(primaryCount);
+        });
+
+        it('should pull a replica from rotation when its connection drops', async () => {
+            service._unhealthyReplicas.clear();
+            const client = await service.getConnection({ readOnly: true });
+            const replica = service._replicaClients.get(client);
+
+            const query = client.query;
+            client.query = () => Promise.reject(Object.assign(new Error('terminating connection due to administrator command'), { code: '57P01' }));
+            await service.query('SELECT 1 AS one', [], { client }).should.be.rejectedWith({ code: '57P01' });
+            client.query = query;
+            client.release();
+
+            service._unhealthyReplicas.has(replica).should.be.exactly(true);
+            reports.map(r => r[0]).should.deepEqual([
+                'PostgresService: Replica unavailable, removing from rotation',
+                'PostgresService: Failed to execute query'
+            ]);
+        });
+
+        it('should pull a replica from rotation when an idle client errors', async () => {
+            service._unhealthyReplicas.clear();
+            service.replicas[2].emit('error', new Error('Connection terminated unexpectedly'));
+            await new Promise(resolve => setImmediate(resolve));
+            service._unhealthyReplicas.has(service.replicas[2]).should.be.exactly(true);
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Replica unavailable, removing from rotation']);
+        });
+
+    });
+
+    describe('listen/notify', () => {
+
+        let service;
+        const reports = captureReports(() => app);
+
+        const nextNotification = async (channel, options) => {
+            let resolve;
+            const received = new Promise(r => { resolve = r; });
+            const unlisten = await service.listen(channel, async (payload, msg) => {
+                await unlisten();
+                resolve({ payload, msg });
+            }, options);
+            return { received };
+        };
+
+        const waitFor = async (condition) => {
+            while (!condition()) await new Promise(resolve => setTimeout(resolve, 10));
+        };
+
+        before(async () => {
+            service = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { listenerReconnectDelayMs: 10 }));
+            await service.connect();
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        it('should deliver notifications to handlers', async () => {
+            const received = [];
+            const pooled = service.pool.totalCount;
+            const unlisten = await service.listen('unit_test', (payload, msg) => received.push([payload, msg.channel]));
+            await service.listen('unit_test', (payload) => received.push([payload, 'second']));
+
+            // Dedicated connection, outside the pool
+            should(service._listener).be.ok();
+            service.pool.totalCount.should.be.exactly(pooled);
+
+            await service.notify('unit_test', 'hello');
+            await waitFor(() => received.length === 2);
+            received.should.deepEqual([['hello', 'unit_test'], ['hello', 'second']]);
+
+            // Removing one handler keeps the other
+            await unlisten();
+            await service.notify('unit_test', 'again');
+            await waitFor(() => received.length === 3);
+            received[2].should.deepEqual(['again', 'second']);
+
+            await service.unlisten('unit_test');
+            await service.unlisten('unit_test');
+            service._subscriptions.size.should.be.exactly(0);
+        });
+
+        it('should parse JSON payloads when asked to', async () => {
+            let { received } = await nextNotification('unit_test_json', { json: true });
+            await service.notify('unit_test_json', { hello: 'world' });
+            (await received).payload.should.deepEqual({ hello: 'world' });
+
+            ({ received } = await nextNotification('unit_test_json', { json: true }));
+            await service.notify('unit_test_json');
+            should((await received).payload).be.exactly(null);
+
+            ({ received } = await nextNotification('unit_test_json'));
+            await service.notify('unit_test_json', { hello: 'world' });
+            (await received).payload.should.be.exactly('{"hello":"world"}');
+        });
+
+        it('should report unparsable payloads and handler failures', async () => {
+            let calls = 0;
+            await service.listen('unit_test_bad', () => { calls++; }, { json: true });
+            await service.listen('unit_test_bad', () => { throw new Error('handler nope'); });
+            await service.notify('unit_test_bad', 'not json');
+            await waitFor(() => reports.length === 2);
+
+            calls.should.be.exactly(0);
+            reports.map(r => r[0]).sort().should.deepEqual([
+                'PostgresService: Failed to parse notification payload',
+                'PostgresService: Notification handler failed'
+            ]);
+            await service.unlisten('unit_test_bad');
+        });
+
+        it('should reconnect and re-listen when the connection drops', async function() {
+            this.timeout(3000);
+            const received = [];
+            await service.listen('unit_test_a', payload => received.push(payload));
+            await service.listen('unit_test_b', payload => received.push(payload));
+
+            const listener = service._listener;
+            listener.connection.stream.destroy();
+            await waitFor(() => service._listener && service._listener !== listener);
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Listener connection lost']);
+
+            await service.notify('unit_test_a', 'a');
+            await service.notify('unit_test_b', 'b');
+            await waitFor(() => received.length === 2);
+            received.should.deepEqual(['a', 'b']);
+
+            await service.unlisten('unit_test_a');
+            await service.unlisten('unit_test_b');
+        });
+
+        it('should keep trying to reconnect until the server is back', async function() {
+            this.timeout(3000);
+            await service.listen('unit_test_retry', () => {});
+
+            const port = service.config.port;
+            service.config.port = 1;
+            service._listener.connection.stream.destroy();
+            await waitFor(() => reports.length >= 2);
+            service.config.port = port;
+            await waitFor(() => !!service._listener);
+
+            reports[0][0].should.be.exactly('PostgresService: Listener connection lost');
+            reports[1][0].should.be.exactly('PostgresService: Failed to reconnect listener');
+            await service.unlisten('unit_test_retry');
+        });
+
+        it('should forget a subscription if the listener cannot connect', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { port: 1 }));
+            await s.listen('unit_test', () => {}).should.be.rejected();
+            s._subscriptions.size.should.be.exactly(0);
+            await s.close();
+        });
+
+        it('should shut the listener down on close', async () => {
+            const s = new PostgresService(app, config.postgres.my_database.pool);
+            await s.connect();
+            await s.listen('unit_test', () => {});
+            const listener = s._listener;
+            await s.close();
+
+            should(s._listener).be.exactly(null);
+            s._subscriptions.size.should.be.exactly(0);
+            listener._ending.should.be.exactly(true);
+            reports.should.deepEqual([]);
+        });
+
+    });
+
+    describe('cancellation', () => {
+
+        const { QueryCanceledError } = require('../').errors;
+        let service;
+        const reports = captureReports(() => app);
+
+        const showTimeout = async () => (await service.query('SHOW statement_timeout')).rows[0].statement_timeout;
+
+        before(async () => {
+            service = new PostgresService(app, config.postgres.my_database.pool);
+            await service.connect();
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        it('should time out a slow query', async () => {
+            const before = await showTimeout();
+            const err = await service.query('SELECT pg_sleep(0.5)', [], { timeoutMs: 50 }).should.be.rejectedWith(QueryCanceledError);
+            err.reason.should.be.exactly('timeout');
+            err.code.should.be.exactly('57014');
+            err.message.should.match(/timed out after 50ms/);
+            err.cause.code.should.be.exactly('57014');
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to execute query']);
+
+            // The timeout only applied to that query
+            (await showTimeout()).should.be.exactly(before);
+        });
+
+        it('should not time out a fast query', async () => {
+            const before = await showTimeout();
+            const res = await service.query('SELECT $1::int AS "one"', [1], { timeoutMs: 1000 });
+            res.rows.should.deepEqual([{ one: 1 }]);
+            (await showTimeout()).should.be.exactly(before);
+            reports.should.deepEqual([]);
+        });
+
+        it('should reject a bad timeout', async () => {
+            await service.query('SELECT 1', [], { timeoutMs: 0 }).should.be.rejectedWith(/timeoutMs must be a positive integer/);
+            await service.query('SELECT 1', [], { timeoutMs: 1.5 }).should.be.rejectedWith(/timeoutMs must be a positive integer/);
+        });
+
+        it('should time out a query within a transaction', async () => {
+            const before = await showTimeout();
+            await service.transaction(async tx => {
+                await tx.transaction(async sp => {
+                    await sp.query('SELECT pg_sleep(0.5)', [], { timeoutMs: 50 });
+                }).should.be.rejectedWith(QueryCanceledError, { reason: 'timeout' });
+
+                // Rolling back the savepoint leaves the transaction usable
+                (await tx.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            });
+            (await showTimeout()).should.be.exactly(before);
+        });
+
+        it('should cancel a query when aborted', async () => {
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 50);
+
+            const start = Date.now();
+            const err = await service.query('SELECT pg_sleep(2)', [], { signal: controller.signal }).should.be.rejectedWith(QueryCanceledError);
+            (Date.now() - start).should.be.below(1000);
+            err.reason.should.be.exactly('aborted');
+            err.cause.code.should.be.exactly('57014');
+
+            // Canceling on purpose is not a failure worth reporting
+            reports.should.deepEqual([]);
+
+            // The client went back to the pool in working order
+            (await service.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+        });
+
+        it('should cancel a query when the pool is saturated', async () => {
+            const saturated = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { max: 1 }));
+            await saturated.connect();
+            try {
+                const controller = new AbortController();
+                setTimeout(() => controller.abort(), 200);
+
+                const start = Date.now();
+                await saturated.query('SELECT pg_sleep(3)', [], { signal: controller.signal }).should.be.rejectedWith(QueryCanceledError, { reason: 'aborted' });
+                (Date.now() - start).should.be.below(1000);
+                reports.should.deepEqual([]);
+
+                (await saturated.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            } finally {
+                await saturated.close();
+            }
+        });
+
+        it('should not start a query that was already aborted', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const acquired = [];
+            service.on('pool:acquire', client => acquired.push(client));
+            await service.query('SELECT 1', [], { signal: controller.signal }).should.be.rejectedWith(QueryCanceledError, { reason: 'aborted' });
+            service.removeAllListeners('pool:acquire');
+            acquired.should.deepEqual([]);
+        });
+
+        it('should leave a query alone if not aborted', async () => {
+            const controller = new AbortController();
+            const res = await service.query('SELECT $1::int AS "one"', [1], { signal: controller.signal, timeoutMs: 1000 });
+            res.rows.should.deepEqual([{ one: 1 }]);
+
+            // Aborting afterwards has no effect on the client
+            controller.abort();
+            (await service.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            reports.should.deepEqual([]);
+        });
+
+    });
+
+    describe('prepared statements', () => {
+
+        let service;
+
+        const statementsOf = client => Array.from(service._preparedStatements.get(client).values());
+
+        before(async () => {
+            service = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { max: 1, statementCacheSize: 2 }));
+            await service.connect();
+            await service.query('DROP TABLE IF EXISTS prepared_test');
+            await service.query('CREATE TABLE prepared_test (a int)');
+            await service.query('INSERT INTO prepared_test (a) VALUES (1)');
+        });
+
+        after(async () => {
+            await service.query('DROP TABLE IF EXISTS prepared_test');
+            await service.close();
+        });
+
+        it('should prepare a statement once per connection', async () => {
+            const client = await service.getConnection();
+            try {
+                const first = await service.query('SELECT $1::int AS "one"', [1], { client, prepare: true });
+                const second = await service.query('SELECT $1::int AS "one"', [2], { client, prepare: true });
+                first.rows.should.deepEqual([{ one: 1 }]);
+                second.rows.should.deepEqual([{ one: 2 }]);
+
+                const [name] = statementsOf(client);
+                name.should.match(/^okanjo_stmt_\d+$/);
+                client.connection.parsedStatements[name].should.be.exactly('SELECT $1::int AS "one"');
+                statementsOf(client).length.should.be.exactly(1);
+
+                // Unprepared queries are left alone
+                await service.query('SELECT $1::int AS "two"', [2], { client });
+                statementsOf(client).length.should.be.exactly(1);
+            } finally {
+                client.release();
+            }
+        });
+
+        it('should evict the least recently used statement', async () => {
+            const client = await service.getConnection();
+            try {
+                await service.query('SELECT 1 AS "a"', [], { client, prepare: true });
+                await service.query('SELECT 2 AS "b"', [], { client, prepare: true });
+                const [a, b] = statementsOf(client);
+                await service.query('SELECT 1 AS "a"', [], { client, prepare: true });
+                await service.query('SELECT 3 AS "c"', [], { client, prepare: true });
+
+                const names = statementsOf(client);
+                names.length.should.be.exactly(2);
+                names[0].should.be.exactly(a);
+                names.should.not.containEql(b);
+                should(client.connection.parsedStatements[b]).be.undefined();
+
+                // The evicted statement is really gone, and can be prepared again under a new name
+                await service.query(`EXECUTE "${b}"`, [], { client, suppress: /does not exist/ }).should.be.rejectedWith({ code: '26000' });
+                (await service.query('SELECT 2 AS "b"', [], { client, prepare: true })).rows.should.deepEqual([{ b: 2 }]);
+                statementsOf(client).should.not.containEql(b);
+            } finally {
+                client.release();
+            }
+        });
+
+        it('should re-prepare a statement when the schema changes', async () => {
+            const query = 'SELECT * FROM prepared_test WHERE a = $1';
+            (await service.query(query, [1], { prepare: true })).rows.should.deepEqual([{ a: 1 }]);
+
+            await service.query('ALTER TABLE prepared_test ADD COLUMN b int');
+            (await service.query(query, [1], { prepare: true })).rows.should.deepEqual([{ a: 1, b: null }]);
+        });
+
+        it('should invalidate a stale statement within a transaction', async () => {
+            const query = 'SELECT * FROM prepared_test WHERE a = $1';
+            (await service.query(query, [1], { prepare: true })).rows.should.deepEqual([{ a: 1, b: null }]);
+            await service.query('ALTER TABLE prepared_test ADD COLUMN c int');
+
+            // Can't retry after the transaction is aborted, but the next attempt gets a fresh statement
+            await service.transaction(async tx => {
+                await tx.query(query, [1], { prepare: true, suppress: /cached plan/ });
+            }).should.be.rejectedWith({ code: '0A000' });
+
+            await service.transaction(async tx => {
+                (await tx.query(query, [1], { prepare: true })).rows.should.deepEqual([{ a: 1, b: null, c: null }]);
+            });
+        });
+
+        it('should not prepare when the cache is disabled', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { statementCacheSize: 0 }));
+            await s.connect();
+            const client = await s.getConnection();
+            try {
+                (await s.query('SELECT 1 AS "one"', [], { client, prepare: true })).rows.should.deepEqual([{ one: 1 }]);
+                should(s._preparedStatements.get(client)).be.undefined();
+                Object.keys(client.connection.parsedStatements).length.should.be.exactly(0);
+            } finally {
+                client.release();
+                await s.close();
+            }
+        });
+
+    });
+
+    describe('session initialization', () => {
+
+        const reports = captureReports(() => app);
+
+        it('should apply session settings and run the hook once per connection', async () => {
+            const connected = [];
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                max: 1,
+                session: {
+                    application_name: 'okanjo_session_test',
+                    'okanjo.tenant': 'acme',
+                    'okanjo.limit': 42
+                },
+                onConnect: async (client) => {
+                    connected.push(client);
+                    await client.query(`SELECT set_config('okanjo.hooked', 'yes', false)`);
+                }
+            }));
+            await s.connect();
+
+            const res = await s.query(`SELECT current_setting('application_name') AS "app", current_setting('okanjo.tenant') AS "tenant", current_setting('okanjo.limit') AS "limit", current_setting('okanjo.hooked') AS "hooked"`);
+            res.rows.should.deepEqual([{ app: 'okanjo_session_test', tenant: 'acme', limit: '42', hooked: 'yes' }]);
+
+            await s.query('SELECT 1');
+            await s.transaction(async tx => tx.query('SELECT 1'));
+            connected.length.should.be.exactly(1);
+            reports.should.deepEqual([]);
+
+            await s.close();
+        });
+
+        it('should discard a connection that fails to initialize', async () => {
+            let attempts = 0;
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                onConnect: async () => {
+                    if (attempts++ === 1) throw new Error('hook nope');
+                }
+            }));
+            await s.connect();
+
+            // Hold on to the connection that was verified on connect, so the query needs a new one
+            const verified = await s.getConnection();
+            const acquired = [];
+            s.on('pool:acquire', client => acquired.push(client));
+
+            await s.query('SELECT 1').should.be.rejectedWith('hook nope');
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to initialize connection', 'PostgresService: Failed to acquire query client']);
+            s.pool.totalCount.should.be.exactly(1);
+            acquired.should.deepEqual([]);
+
+            // The next connection gets a fresh start
+            (await s.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            attempts.should.be.exactly(3);
+
+            verified.release();
+            await s.close();
+        });
+
+        it('should fail to connect with bad session settings', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                session: { 'not a setting': 'nope' }
+            }));
+
+            await s.connect().should.be.rejectedWith(/unrecognized configuration parameter/);
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to initialize connection', 'PostgresService: Failed to connect']);
+            s.pool.totalCount.should.be.exactly(0);
+
+            await s.close();
+        });
+
+    });
+
+    describe('advisory locks', () => {
+
+        const { LockNotAcquiredError, QueryCanceledError } = require('../').errors;
+        let service;
+        const reports = captureReports(() => app);
+
+        const tryLock = (key, options) => service.withAdvisoryLock(key, async () => 'locked', Object.assign({ wait: false }, options));
+
+        before(async () => {
+            service = new PostgresService(app, config.postgres.my_database.pool);
+            await service.connect();
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        it('should hold the lock for the life of the callback', async () => {
+            const events = [];
+            let unblock;
+            const blocked = new Promise(resolve => { unblock = resolve; });
+
+            const first = service.withAdvisoryLock('unit_test_lock', async (client) => {
+                should(client.query).be.a.Function();
+                events.push('first:start');
+                await blocked;
+                events.push('first:end');
+                return 'first';
+            });
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const second = service.withAdvisoryLock('unit_test_lock', async () => {
+                events.push('second');
+                return 'second';
+            });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            events.should.deepEqual(['first:start']);
+
+            unblock();
+            (await first).should.be.exactly('first');
+            (await second).should.be.exactly('second');
+            events.should.deepEqual(['first:start', 'first:end', 'second']);
+
+            // Everything was unlocked and released
+            (await tryLock('unit_test_lock')).should.be.exactly('locked');
+            service.pool.idleCount.should.be.exactly(service.pool.totalCount);
+            reports.should.deepEqual([]);
+        });
+
+        it('should not wait when asked not to', async () => {
+            let called = false;
+            await service.withAdvisoryLock(42, async () => {
+                const err = await service.withAdvisoryLock(42, async () => { called = true; }, { wait: false }).should.be.rejectedWith(LockNotAcquiredError);
+                err.key.should.be.exactly(42);
+                should(err.cause).be.undefined();
+            });
+            called.should.be.exactly(false);
+            reports.should.deepEqual([]);
+        });
+
+        it('should give up waiting after the timeout', async () => {
+            await service.withAdvisoryLock(42n, async () => {
+                const err = await tryLock(42n, { wait: true, timeoutMs: 50 }).should.be.rejectedWith(LockNotAcquiredError);
+                err.message.should.match(/after 50ms/);
+                err.cause.should.be.an.instanceOf(QueryCanceledError);
+            });
+            (await tryLock(42n, { wait: true, timeoutMs: 50 })).should.be.exactly('locked');
+            reports.should.deepEqual([]);
+        });
+
+        it('should unlock when the callback fails', async () => {
+            await service.withAdvisoryLock('unit_test_lock', async () => { throw new Error('nope'); }).should.be.rejectedWith('nope');
+            (await tryLock('unit_test_lock')).should.be.exactly('locked');
+        });
+
+        it('should support shared locks', async () => {
+            await service.withAdvisoryLock('unit_test_lock', async () => {
+                (await tryLock('unit_test_lock', { shared: true })).should.be.exactly('locked');
+                await tryLock('unit_test_lock').should.be.rejectedWith(LockNotAcquiredError);
+            }, { shared: true });
+            (await tryLock('unit_test_lock')).should.be.exactly('locked');
+        });
+
+        it('should reject bad keys and timeouts', async () => {
+            await service.withAdvisoryLock(1.5, async () => {}).should.be.rejectedWith(/key must be a string or a 64-bit integer/);
+            await service.withAdvisoryLock(2n ** 63n, async () => {}).should.be.rejectedWith(/key must be a string or a 64-bit integer/);
+            await service.withAdvisoryLock({}, async () => {}).should.be.rejectedWith(/key must be a string or a 64-bit integer/);
+            await service.withAdvisoryLock('ok', async () => {}, { timeoutMs: -1 }).should.be.rejectedWith(/timeoutMs must be a positive integer/);
+            service.pool.idleCount.should.be.exactly(service.pool.totalCount);
+        });
+
+        it('should hold a transaction lock until the transaction ends', async () => {
+            const res = await service.withAdvisoryXactLock('unit_test_xact_lock', async (tx) => {
+                (await tx.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+
+                // Re-entrant within the same transaction
+                await tx.advisoryLock('unit_test_xact_lock', { wait: false });
+                return 'done';
+            });
+            res.should.be.exactly('done');
+            (await tryLock('unit_test_xact_lock')).should.be.exactly('locked');
+        });
+
+        it('should roll back when a transaction lock is held elsewhere', async () => {
+            await service.withAdvisoryLock('unit_test_xact_lock', async () => {
+                let called = false;
+                await service.withAdvisoryXactLock('unit_test_xact_lock', async () => { called = true; }, { wait: false })
+                    .should.be.rejectedWith(LockNotAcquiredError);
+                called.should.be.exactly(false);
+            });
+            reports.should.deepEqual([]);
+        });
+
+    });
+
+    describe('healthCheck / stats', () => {
+
+        it('should report a healthy server', async () => {
+            const res = await app.services.db.healthCheck();
+            res.healthy.should.be.exactly(true);
+            should(res.error).be.exactly(null);
+            res.latencyMs.should.be.a.Number().and.aboveOrEqual(0);
+            res.version.should.be.a.String().and.match(/^\d+/);
+            res.inRecovery.should.be.exactly(false);
+            res.pool.should.have.properties('total', 'idle', 'waiting');
+            res.pool.waiting.should.be.exactly(0);
+            res.replicas.should.deepEqual([]);
+        });
+
+        it('should report an unreachable server', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { port: 1 }));
+            let res = await s.healthCheck();
+            res.healthy.should.be.exactly(false);
+            res.error.should.match(/Not connected/);
+
+            await s.connect().should.be.rejected();
+            res = await s.healthCheck();
+            res.healthy.should.be.exactly(false);
+            res.error.should.be.a.String();
+            should(res.latencyMs).be.exactly(null);
+            should(res.version).be.exactly(null);
+            await s.close();
+        });
+
+        it('should time out on an unresponsive server', async () => {
+            // Accepts connections but never answers
+            const sockets = [];
+            const server = require('net').createServer(socket => sockets.push(socket));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                host: '127.0.0.1',
+                port: server.address().port,
+                connectionTimeoutMillis: 1000,
+                verifyConnection: false
+            }));
+            await s.connect();
+            const res = await s.healthCheck({ timeoutMs: 50 });
+            res.healthy.should.be.exactly(false);
+            res.error.should.match(/timed out after 50ms/);
+            res.pool.total.should.be.exactly(1);
+
+            sockets.forEach(socket => socket.destroy());
+            server.close();
+            await s.close();
+        });
+
+        it('should count queries and errors since connect', async () => {
+            const s = new PostgresService(app, config.postgres.my_database.pool);
+            s.stats().should.deepEqual({ queries: 0, errors: 0, connectedAt: null });
+
+            await s.connect();
+            const { connectedAt } = s.stats();
+            connectedAt.should.be.an.instanceOf(Date);
+
+            await s.query('SELECT 1');
+            await s.query('SELECT nope FROM nowhere', [], { suppress: /nowhere/ }).should.be.rejected();
+            await s.healthCheck();
+            s.stats().should.deepEqual({ queries: 2, errors: 1, connectedAt });
+
+            await s.close();
+        });
+
+    });
+
+    describe('events', () => {
+
+        let service;
+        const reports = captureReports(() => app);
+
+        before(async () => {
+            service = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { slowQueryThresholdMs: 50 }));
+            await service.connect();
+        });
+
+        after(async () => {
+            await service.close();
+        });
+
+        it('should emit query lifecycle events', async () => {
+            const events = [];
+            const onStart = info => events.push(['start', info]);
+            const onEnd = info => events.push(['end', info]);
+            const onError = info => events.push(['error', info]);
+            service.on('query:start', onStart);
+            service.on('query:end', onEnd);
+            service.on('query:error', onError);
+
+            await service.query('SELECT $1::int AS "one"', [1]);
+            await service.query('SELECT nope FROM nowhere', [], { suppress: /nowhere/ }).should.be.rejected();
+
+            service.removeListener('query:start', onStart);
+            service.removeListener('query:end', onEnd);
+            service.removeListener('query:error', onError);
+
+            events.map(e => e[0]).should.deepEqual(['start', 'end', 'start', 'error']);
+            events[0][1].should.deepEqual({ sql: 'SELECT $1::int AS "one"', args: [1] });
+            events[1][1].sql.should.be.exactly('SELECT $1::int AS "one"');
+            events[1][1].rowCount.should.be.exactly(1);
+            events[1][1].durationMs.should.be.a.Number().and.aboveOrEqual(0);
+            events[3][1].error.code.should.be.exactly('42P01');
+            events[3][1].durationMs.should.be.a.Number().and.aboveOrEqual(0);
+        });
+
+        it('should emit pool events', async () => {
+            const events = [];
+            ['pool:connect', 'pool:acquire', 'pool:release'].forEach(name => service.on(name, (...args) => events.push([name, args])));
+
+            const client = await service.getConnection();
+            client.release();
+            await service.query('SELECT 1');
+
+            service.removeAllListeners('pool:connect');
+            service.removeAllListeners('pool:acquire');
+            service.removeAllListeners('pool:release');
+
+            events.map(e => e[0]).should.deepEqual(['pool:acquire', 'pool:release', 'pool:acquire', 'pool:release']);
+            events[0][1][0].should.be.exactly(client);
+            events[0][1][1].should.be.exactly(service.pool);
+
+            // A fresh pool connects new clients
+            const s = new PostgresService(app, config.postgres.my_database.pool);
+            const connected = [];
+            s.on('pool:connect', (c, pool) => connected.push(pool));
+            await s.connect();
+            await s.query('SELECT 1');
+            connected.should.deepEqual([s.pool]);
+            await s.close();
+        });
+
+        it('should emit and report idle client errors', async () => {
+            const errors = [];
+            service.on('pool:error', (err, client) => errors.push([err, client]));
+
+            const client = await service.getConnection();
+            client.release();
+            const err = new Error('idle nope');
+            client.emit('error', err);
+
+            service.removeAllListeners('pool:error');
+            errors.should.deepEqual([[err, client]]);
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Idle client error']);
+        });
+
+        it('should report slow queries with redacted args', async () => {
+            await service.query('SELECT $1::text AS "secret", $2::text AS "nothing"', ['hunter2', null]);
+            reports.should.deepEqual([]);
+
+            await service.query('SELECT pg_sleep(0.1), $1::text AS "secret", $2::text AS "nothing"', ['hunter2', null]);
+            reports.length.should.be.exactly(1);
+            reports[0][0].should.be.exactly('PostgresService: Slow query');
+            reports[0][1].args.should.deepEqual(['[REDACTED]', null]);
+            reports[0][1].thresholdMs.should.be.exactly(50);
+            reports[0][1].durationMs.should.be.aboveOrEqual(50);
+            reports[0][1].sql.should.match(/pg_sleep/);
+        });
+
+    });
+
+    describe('errors', () => {
+
+        const errors = require('../').errors;
+        const reports = captureReports(() => app);
+
+        before(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS errors_test CASCADE;');
+            await app.services.db.query('CREATE SCHEMA errors_test;');
+            await app.services.db.query(`
+                CREATE TABLE errors_test.parents (
+                    "id" int NOT NULL PRIMARY KEY,
+                    "name" text NOT NULL CONSTRAINT "parents_name_unique" UNIQUE,
+                    "age" int CONSTRAINT "parents_age_positive" CHECK ("age" > 0)
+                );`
+            );
+            await app.services.db.query(`
+                CREATE TABLE errors_test.children (
+                    "id" int NOT NULL PRIMARY KEY,
+                    "parent_id" int NOT NULL CONSTRAINT "children_parent_fk" REFERENCES errors_test.parents ("id")
+                );`
+            );
+            await app.services.db.query(`INSERT INTO errors_test.parents VALUES (1, 'a', 1);`);
+        });
+
+        after(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS errors_test CASCADE;');
+        });
+
+        it('should map constraint violations to error classes', async () => {
+            const { db } = app.services;
+
+            let err = await db.query(`INSERT INTO errors_test.parents VALUES (2, 'a', 1)`).should.be.rejectedWith(errors.UniqueViolationError);
+            err.should.be.instanceOf(errors.PostgresError);
+            err.message.should.match(/duplicate key/);
+            err.code.should.be.exactly('23505');
+            err.constraint.should.be.exactly('parents_name_unique');
+            err.schema.should.be.exactly('errors_test');
+            err.table.should.be.exactly('parents');
+            err.detail.should.match(/\(name\)=\(a\) already exists/);
+            err.cause.code.should.be.exactly('23505');
+
+            err = await db.query(`INSERT INTO errors_test.children VALUES (1, 2)`).should.be.rejectedWith(errors.ForeignKeyViolationError);
+            err.constraint.should.be.exactly('children_parent_fk');
+            err.table.should.be.exactly('children');
+            err.detail.should.match(/is not present/);
+
+            err = await db.query(`INSERT INTO errors_test.parents VALUES (2, null, 1)`).should.be.rejectedWith(errors.NotNullViolationError);
+            err.table.should.be.exactly('parents');
+            err.column.should.be.exactly('name');
+
+            err = await db.query(`INSERT INTO errors_test.parents VALUES (2, 'b', 0)`).should.be.rejectedWith(errors.CheckViolationError);
+            err.constraint.should.be.exactly('parents_age_positive');
+
+            // Anything else from the server is still a PostgresError
+            err = await db.query('SHOW DATATHINGS;').should.be.rejectedWith(errors.PostgresError);
+            err.code.should.be.exactly('42704');
+            err.name.should.be.exactly('PostgresError');
+
+            reports.length.should.be.exactly(5);
+            reports[0][1].should.be.instanceOf(errors.UniqueViolationError);
+        });
+
+        it('should map serialization failures and server cancellations', async () => {
+            errors.PostgresError.from(Object.assign(new Error('could not serialize access'), { code: '40001' })).should.be.instanceOf(errors.SerializationError);
+            errors.PostgresError.from(Object.assign(new Error('deadlock detected'), { code: '40P01' })).should.be.instanceOf(errors.SerializationError);
+
+            const client = await app.services.db.getConnection();
+            try {
+                await app.services.db.query('SET statement_timeout = 50', [], { client });
+                const err = await app.services.db.query('SELECT pg_sleep(1)', [], { client }).should.be.rejectedWith(errors.QueryCanceledError);
+                err.reason.should.be.exactly(errors.QueryCanceledError.REASONS.SERVER);
+                err.cause.code.should.be.exactly('57014');
+            } finally {
+                await app.services.db.query('RESET statement_timeout', [], { client });
+                client.release();
+            }
+        });
+
+        it('should map connection failures', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                port: 1,
+                verifyConnection: false
+            }));
+            await s.connect();
+            const err = await s.query('SELECT 1').should.be.rejectedWith(errors.ConnectionError);
+            err.cause.code.should.be.exactly('ECONNREFUSED');
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to acquire query client']);
+            await s.close();
+        });
+
+        it('should leave other errors alone', () => {
+            const err = new Error('nope');
+            errors.PostgresError.from(err).should.be.exactly(err);
+            const lockErr = new errors.LockNotAcquiredError('held', 'key');
+            errors.PostgresError.from(lockErr).should.be.exactly(lockErr);
+        });
+
+        it('should suppress by error class, SQLSTATE code or a list of them', async () => {
+            const { db } = app.services;
+            const insert = `INSERT INTO errors_test.parents VALUES (1, 'a', 1)`;
+
+            await db.query(insert, [], { suppress: errors.UniqueViolationError }).should.be.rejectedWith(errors.UniqueViolationError);
+            await db.query(insert, [], { suppress: '23505' }).should.be.rejectedWith(errors.UniqueViolationError);
+            await db.query(insert, [], { suppress: [ /nope/, errors.CheckViolationError, '23505' ] }).should.be.rejectedWith(errors.UniqueViolationError);
+            reports.should.deepEqual([]);
+
+            await db.query(insert, [], { suppress: errors.CheckViolationError }).should.be.rejectedWith(errors.UniqueViolationError);
+            await db.query(insert, [], { suppress: '23514' }).should.be.rejectedWith(errors.UniqueViolationError);
+            reports.length.should.be.exactly(2);
+        });
+
+    });
+
+    describe('redaction', () => {
+
+        const { sql } = require('../');
+        const { UniqueViolationError } = require('../').errors;
+        const reports = captureReports(() => app);
+
+        it('should mask sensitive arguments in reports and events', async () => {
+            const { db } = app.services;
+            const events = [];
+            db.on('query:start', e => events.push(e.args));
+            db.on('query:error', e => events.push(e.args));
+
+            const client = await db.getConnection();
+            try {
+                await db.query(sql`SELECT ${'a'}::text, ${sql.sensitive('hunter2')}::text, ${null}::text, ${'b'}::int`, { client })
+                    .should.be.rejectedWith(/invalid input syntax/);
+                await db.query('SELECT $1::int, $2::int', ['secret', 1], { client, redact: [0] })
+                    .should.be.rejectedWith(/invalid input syntax/);
+                await db.query('SELECT $1::int, $2::int', ['secret', 'secret'], { client, redact: true })
+                    .should.be.rejectedWith(/invalid input syntax/);
+            } finally {
+                db.removeAllListeners('query:start');
+                db.removeAllListeners('query:error');
+                client.release();
+            }
+
+            const masked = [
+                ['a', '[REDACTED]', null, 'b'],
+                ['[REDACTED]', 1],
+                ['[REDACTED]', '[REDACTED]']
+            ];
+            events.should.deepEqual([masked[0], masked[0], masked[1], masked[1], masked[2], masked[2]]);
+            reports.map(r => r[2].args).should.deepEqual(masked);
+
+            // The client is never part of a report
+            reports.forEach(r => should(r[2].options.client).be.undefined());
+            reports[1][2].options.should.deepEqual({ redact: [0] });
+        });
+
+        it('should mask error details that can quote redacted values', async () => {
+            const { db } = app.services;
+            const client = await db.getConnection();
+            try {
+                await db.query('CREATE TEMPORARY TABLE people ("ssn" text UNIQUE)', [], { client });
+                await db.query(sql`INSERT INTO people ("ssn") VALUES (${sql.sensitive('123-45-6789')})`, { client });
+
+                const err = await db.query(sql`INSERT INTO people ("ssn") VALUES (${sql.sensitive('123-45-6789')})`, { client })
+                    .should.be.rejectedWith(UniqueViolationError);
+                err.detail.should.be.exactly('[REDACTED]');
+                err.cause.detail.should.be.exactly('[REDACTED]');
+                reports[0][1].should.be.exactly(err);
+                JSON.stringify(reports[0][2]).should.not.match(/6789/);
+
+                // Nothing to redact, nothing masked
+                const plain = await db.query('INSERT INTO people ("ssn") VALUES ($1)', ['123-45-6789'], { client })
+                    .should.be.rejectedWith(UniqueViolationError);
+                plain.detail.should.match(/123-45-6789/);
+            } finally {
+                await db.query('DROP TABLE IF EXISTS people', [], { client });
+                client.release();
+            }
+        });
+
+        it('should mask redacted values quoted by error messages', async () => {
+            const { db } = app.services;
+            const events = [];
+            db.on('query:error', e => events.push(e.error));
+            try {
+                const err = await db.query(sql`SELECT ${sql.sensitive('sk_live_SECRETVALUE')}::uuid, ${'plain'}::text`)
+                    .should.be.rejectedWith('invalid input syntax for type uuid: "[REDACTED]"');
+                err.cause.message.should.be.exactly(err.message);
+                err.stack.should.not.match(/SECRETVALUE/);
+
+                await db.query('SELECT $1::int, $2::int', ['12', 'secret'], { redact: [1] })
+                    .should.be.rejectedWith('invalid input syntax for type integer: "[REDACTED]"');
+
+                // Only whole values are masked, not bits of words
+                await db.query('SELECT $1::text, $2::int', ['a', 'x'], { redact: true })
+                    .should.be.rejectedWith('invalid input syntax for type integer: "[REDACTED]"');
+
+                // Values that aren't redacted are left as they are
+                await db.query('SELECT $1::int', ['visible']).should.be.rejectedWith(/"visible"/);
+            } finally {
+                db.removeAllListeners('query:error');
+            }
+
+            events.should.have.length(4);
+            reports.should.have.length(4);
+            JSON.stringify(reports.slice(0, 2).map(r => [r[1].message, r[1].stack, r[2]])).should.not.match(/SECRETVALUE|secret/);
+            events[0].should.be.exactly(reports[0][1]);
+        });
+
+        it('should not log result rows', async () => {
+            const createDebug = require('debug');
+            const { log } = createDebug;
+            const namespaces = createDebug.disable();
+            const lines = [];
+            createDebug.enable('pg');
+            createDebug.log = (...args) => lines.push(args.join(' '));
+            try {
+                await app.services.db.query(sql`SELECT ${sql.sensitive('hunter2')}::text AS "password"`);
+            } finally {
+                createDebug.log = log;
+                createDebug.enable(namespaces);
+            }
+            lines.some(line => /Query completed/.test(line)).should.be.exactly(true);
+            lines.filter(line => /hunter2/.test(line)).should.deepEqual([]);
+        });
+
+        it('should mask every argument when configured to', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                redact: { all: true }
+            }));
+            await s.connect();
+            await s.query('SELECT $1::int, $2::int', ['nope', null]).should.be.rejectedWith(/invalid input syntax/);
+            reports[0][2].args.should.deepEqual(['[REDACTED]', null]);
+            await s.close();
+        });
+
+        it('should match redacted columns', () => {
+            const { db } = app.services;
+            db.isRedactedColumn('password').should.be.exactly(true);
+            db.isRedactedColumn('password_hash').should.be.exactly(true);
+            db.isRedactedColumn('access_token').should.be.exactly(true);
+            db.isRedactedColumn('SSN').should.be.exactly(true);
+            db.isRedactedColumn('email').should.be.exactly(false);
+
+            // Given columns win over the policy
+            db.isRedactedColumn('Email', ['email']).should.be.exactly(true);
+            db.isRedactedColumn('password', ['email']).should.be.exactly(false);
+
+            const s = new PostgresService(app, { redact: { columns: [ 'pin', /^card_/ ] } });
+            s.isRedactedColumn('PIN').should.be.exactly(true);
+            s.isRedactedColumn('card_number').should.be.exactly(true);
+            s.isRedactedColumn('password').should.be.exactly(false);
+        });
+
+    });
+
+    describe('types', () => {
+
+        const typesQuery = `SELECT
+            9007199254740993::int8 AS "big",
+            ARRAY[1, 2]::int8[] AS "bigs",
+            12.50::numeric AS "num",
+            '2020-01-02 03:04:05.678'::timestamp AS "ts",
+            '{"a":1}'::jsonb AS "doc"`;
+
+        it('should parse with pg defaults when not configured', async () => {
+            const { rows: [row] } = await app.services.db.query(typesQuery);
+            row.big.should.be.exactly('9007199254740993');
+            row.bigs.should.deepEqual(['1', '2']);
+            row.num.should.be.exactly('12.50');
+            row.ts.getTime().should.be.exactly(new Date(2020, 0, 2, 3, 4, 5, 678).getTime());
+            row.doc.should.deepEqual({ a: 1 });
+        });
+
+        it('should apply configured parsers to the service pools only', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                types: {
+                    int8: 'bigint',
+                    numeric: value => ({ decimal: value }),
+                    timestamp: 'utc',
+                    json: 'string'
+                }
+            }));
+            await s.connect();
+
+            const { rows: [row] } = await s.query(typesQuery);
+            row.big.should.be.exactly(9007199254740993n);
+            row.bigs.should.deepEqual([1n, 2n]);
+            row.num.should.deepEqual({ decimal: '12.50' });
+            row.ts.toISOString().should.be.exactly('2020-01-02T03:04:05.678Z');
+            row.doc.should.be.exactly('{"a": 1}');
+
+            // Other services and pg's own registry are untouched
+            (await app.services.db.query(typesQuery)).rows[0].big.should.be.exactly('9007199254740993');
+            pgTypes.getTypeParser(20)('1').should.be.exactly('1');
+
+            await s.close();
+        });
+
+        it('should support number and string modes', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                types: { int8: 'number', timestamp: 'string' }
+            }));
+            await s.connect();
+
+            const { rows: [row] } = await s.query(typesQuery);
+            row.big.should.be.exactly(9007199254740992); // beware – precision is lost past Number.MAX_SAFE_INTEGER
+            row.bigs.should.deepEqual([1, 2]);
+            row.num.should.be.exactly('12.50');
+            row.ts.should.be.exactly('2020-01-02 03:04:05.678');
+
+            await s.close();
+        });
+
+        it('should use custom parsers by oid', async () => {
+            const s = new PostgresService(app, {
+                primary: config.postgres.my_database.pool,
+                replicas: [ config.postgres.my_database.pool ],
+                types: { int8: 'bigint', parsers: { 20: value => `int8:${value}`, 25: value => value.toUpperCase() } }
+            });
+            await s.connect();
+
+            const sql = `SELECT 5::int8 AS "big", 'abc'::text AS "str"`;
+            (await s.query(sql)).rows.should.deepEqual([{ big: 'int8:5', str: 'ABC' }]);
+            (await s.query(sql, [], { readOnly: true })).rows.should.deepEqual([{ big: 'int8:5', str: 'ABC' }]);
+
+            await s.close();
+        });
+
+        it('should reject unknown options on connect', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                types: { int8: 'float' }
+            }));
+            await s.connect().should.be.rejectedWith('PostgresService: Unknown types.int8 option: float');
+            await s.close();
+        });
+
+    });
+
+    describe('connect', () => {
+
+        const reports = captureReports(() => app);
+
+        it('should fail fast when the server is unreachable', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { port: 1 }));
+            await s.connect().should.be.rejectedWith(/^PostgresService: Could not connect after 1 attempt\(s\)/);
+            reports.map(r => r[0]).should.deepEqual(['PostgresService: Failed to connect']);
+            reports[0][2].should.deepEqual({ attempt: 1, retryInMs: null });
+            await s.close();
+        });
+
+        it('should retry with backoff up to maxAttempts', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                port: 1,
+                connectRetry: { maxAttempts: 3, baseDelayMs: 5 }
+            }));
+            const err = await s.connect().should.be.rejectedWith(/^PostgresService: Could not connect after 3 attempt\(s\)/);
+            should(err.cause).be.ok();
+            reports.map(r => r[2]).should.deepEqual([
+                { attempt: 1, retryInMs: 5 },
+                { attempt: 2, retryInMs: 10 },
+                { attempt: 3, retryInMs: null }
+            ]);
+            await s.close();
+        });
+
+        it('should give up once maxWaitMs would be exceeded', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                port: 1,
+                connectRetry: { baseDelayMs: 20, maxWaitMs: 50 }
+            }));
+            await s.connect().should.be.rejectedWith(/^PostgresService: Could not connect after \d+ attempt\(s\)/);
+            reports.length.should.be.within(2, 3);
+            should(reports[reports.length - 1][2].retryInMs).be.exactly(null);
+            await s.close();
+        });
+
+        it('should connect once the server becomes available', async () => {
+            let attempts = 0;
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                connectRetry: { baseDelayMs: 1 },
+                onConnect: async () => {
+                    if (attempts++ < 2) throw new Error('not yet');
+                }
+            }));
+            await s.connect();
+            attempts.should.be.exactly(3);
+            reports.map(r => r[0]).should.deepEqual([
+                'PostgresService: Failed to initialize connection', 'PostgresService: Failed to connect',
+                'PostgresService: Failed to initialize connection', 'PostgresService: Failed to connect'
+            ]);
+            (await s.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+            await s.close();
+        });
+
+        it('should not touch the server when verifyConnection is off', async () => {
+            const s = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, {
+                port: 1,
+                verifyConnection: false
+            }));
+            await s.connect();
+            s.pool.totalCount.should.be.exactly(0);
+            reports.should.deepEqual([]);
+            await s.close();
+        });
+
+    });
+
+    describe('batch', () => {
+
+        const { sql } = require('../');
+        const { QueryCanceledError, UniqueViolationError } = require('../').errors;
+        let service, acquired;
+        const reports = captureReports(() => app);
+
+        const countAcquire = () => acquired++;
+        const ids = async () => (await service.query('SELECT "id" FROM batch_test.things ORDER BY "id"')).rows.map(row => row.id);
+
+        before(async () => {
+            service = app.services.db;
+            await service.query('DROP SCHEMA IF EXISTS batch_test CASCADE');
+            await service.query('CREATE SCHEMA batch_test');
+            await service.query('CREATE TABLE batch_test.things ("id" int PRIMARY KEY)');
+            service.on('pool:acquire', countAcquire);
+        });
+
+        after(async () => {
+            service.removeListener('pool:acquire', countAcquire);
+            await service.query('DROP SCHEMA IF EXISTS batch_test CASCADE');
+        });
+
+        beforeEach(async () => {
+            await service.query('DELETE FROM batch_test.things');
+            acquired = 0;
+        });
+
+        it('should run statements on one client, in order', async () => {
+            const res = await service.batch([
+                { sql: 'SELECT $1::int AS "n"', args: [1] },
+                sql`SELECT ${2}::int AS "n"`,
+                { sql: sql`SELECT ${3}::int AS "n"`, options: { prepare: true } },
+                { sql: 'SELECT 4 AS "n"' }
+            ]);
+            acquired.should.be.exactly(1);
+            res.map(outcome => outcome.status).should.deepEqual(['fulfilled', 'fulfilled', 'fulfilled', 'fulfilled']);
+            res.map(outcome => outcome.value.rows[0].n).should.deepEqual([1, 2, 3, 4]);
+
+            (await service.batch([])).should.deepEqual([]);
+        });
+
+        it('should settle each statement on its own', async () => {
+            const res = await service.batch([
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)' },
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)', options: { suppress: '23505' } },
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (2)' }
+            ]);
+            res.map(outcome => outcome.status).should.deepEqual(['fulfilled', 'rejected', 'fulfilled']);
+            res[1].reason.should.be.instanceOf(UniqueViolationError);
+            (await ids()).should.deepEqual([1, 2]);
+        });
+
+        it('should be all or nothing when transactional', async () => {
+            const res = await service.batch([
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)' },
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (2) RETURNING "id"' }
+            ], { transactional: true });
+            res.map(r => r.rowCount).should.deepEqual([1, 1]);
+            res[1].rows.should.deepEqual([{ id: 2 }]);
+
+            await service.batch([
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (3)' },
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)' },
+                { sql: 'INSERT INTO batch_test.things ("id") VALUES (4)' }
+            ], { transactional: true }).should.be.rejectedWith(UniqueViolationError);
+
+            // Statements queued after the failure don't add to the noise
+            reports.map(r => r[1].code).should.deepEqual(['23505']);
+            (await ids()).should.deepEqual([1, 2]);
+        });
+
+        it('should only undo the batch within a transaction', async () => {
+            await service.transaction(async (tx) => {
+                await tx.query('INSERT INTO batch_test.things ("id") VALUES (1)');
+                await service.batch([
+                    { sql: 'INSERT INTO batch_test.things ("id") VALUES (2)' },
+                    { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)', options: { suppress: '23505' } }
+                ], { transactional: true }).should.be.rejectedWith(UniqueViolationError);
+                await tx.query('INSERT INTO batch_test.things ("id") VALUES (3)');
+
+                // Non-transactional batches join the transaction too
+                const res = await service.batch([{ sql: 'SELECT count(*)::int AS "n" FROM batch_test.things' }]);
+                res[0].value.rows[0].n.should.be.exactly(2);
+            });
+            acquired.should.be.exactly(1);
+            (await ids()).should.deepEqual([1, 3]);
+        });
+
+        it('should wrap a batch on a given client in a transaction', async () => {
+            const client = await service.getConnection();
+            try {
+                await service.batch([
+                    { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)' },
+                    { sql: 'INSERT INTO batch_test.things ("id") VALUES (1)', options: { suppress: '23505' } }
+                ], { transactional: true, client }).should.be.rejectedWith(UniqueViolationError);
+                await service.batch([{ sql: 'INSERT INTO batch_test.things ("id") VALUES (2)' }], { transactional: true, client });
+            } finally {
+                client.release();
+            }
+            (await ids()).should.deepEqual([2]);
+        });
+
+        it('should run statements with timeouts on their own', async () => {
+            const res = await service.batch([
+                { sql: 'SELECT 1 AS "n"' },
+                { sql: 'SELECT pg_sleep(0.5)', options: { timeoutMs: 50, suppress: QueryCanceledError } },
+                { sql: 'SELECT pg_sleep(0.1), 3 AS "n"' },
+                { sql: 'SHOW statement_timeout' }
+            ]);
+            res.map(outcome => outcome.status).should.deepEqual(['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+            res[1].reason.should.be.instanceOf(QueryCanceledError);
+            res[1].reason.reason.should.be.exactly('timeout');
+            res[2].value.rows[0].n.should.be.exactly(3);
+            res[3].value.rows[0].statement_timeout.should.not.be.exactly('50ms');
+        });
+
+        it('should reject bad statements', async () => {
+            await service.batch('SELECT 1').should.be.rejectedWith(/expects an array/);
+            await service.batch([{ sql: 'SELECT 1' }, {}]).should.be.rejectedWith(/Batch statement 1 has no sql/);
+        });
+
+    });
+
+    describe('explain', () => {
+
+        const { sql } = require('../');
+        let service;
+        const reports = captureReports(() => app);
+
+        const count = async () => (await service.query('SELECT count(*)::int AS "n" FROM explain_test.things')).rows[0].n;
+
+        before(async () => {
+            service = app.services.db;
+            await service.query('DROP SCHEMA IF EXISTS explain_test CASCADE');
+            await service.query('CREATE SCHEMA explain_test');
+            await service.query('CREATE TABLE explain_test.things ("id" int PRIMARY KEY, "name" text)');
+            await service.query('INSERT INTO explain_test.things ("id", "name") VALUES (1, \'one\'), (2, \'two\')');
+        });
+
+        after(async () => {
+            await service.query('DROP SCHEMA IF EXISTS explain_test CASCADE');
+        });
+
+        it('should get the plan of a query', async () => {
+            const plan = await service.explain('SELECT * FROM explain_test.things WHERE "name" = $1', ['one']);
+            plan.Plan['Node Type'].should.be.a.String();
+            should(plan['Execution Time']).be.exactly(undefined);
+
+            (await service.explain(sql`SELECT * FROM explain_test.things WHERE "name" = ${'one'}`)).Plan.should.be.an.Object();
+        });
+
+        it('should analyze a query', async () => {
+            const plan = await service.explain('SELECT * FROM explain_test.things', [], { analyze: true, buffers: true, verbose: true });
+            plan['Execution Time'].should.be.a.Number();
+            plan.Plan['Actual Rows'].should.be.exactly(2);
+            plan.Plan.should.have.property('Shared Hit Blocks');
+            plan.Plan.Output.should.deepEqual(['id', 'name']);
+        });
+
+        it('should roll back analyzed writes', async () => {
+            const plan = await service.explain(sql`INSERT INTO explain_test.things ("id") VALUES (${3})`, { analyze: true });
+            plan.Plan['Node Type'].should.be.exactly('ModifyTable');
+            (await count()).should.be.exactly(2);
+
+            await service.transaction(async (tx) => {
+                await tx.query('INSERT INTO explain_test.things ("id") VALUES (4)');
+                await service.explain('DELETE FROM explain_test.things', [], { analyze: true });
+                (await tx.query('SELECT count(*)::int AS "n" FROM explain_test.things')).rows[0].n.should.be.exactly(3);
+            });
+            (await count()).should.be.exactly(3);
+            await service.query('DELETE FROM explain_test.things WHERE "id" = 4');
+        });
+
+        it('should get the plan as text', async () => {
+            const plan = await service.explain('SELECT * FROM explain_test.things', [], { format: 'text' });
+            plan.should.be.a.String();
+            plan.should.match(/Scan on things/);
+        });
+
+        it('should reject unknown formats', async () => {
+            await service.explain('SELECT 1', [], { format: 'csv' }).should.be.rejectedWith(/Unknown explain format: csv/);
+        });
+
+        it('should parse plans when json is kept as text', async () => {
+            const textService = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { types: { json: 'string' } }));
+            await textService.connect();
+            try {
+                (await textService.explain('SELECT 1')).Plan['Node Type'].should.be.exactly('Result');
+            } finally {
+                await textService.close();
+            }
+        });
+
+        it('should attach plans to slow query reports', async () => {
+            const slowService = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { slowQueryThresholdMs: 50, explainSlowQueries: true }));
+            await slowService.connect();
+
+            try {
+                await slowService.query('SELECT pg_sleep(0.1), \'one\' AS "name"');
+                await slowService.query('DO $$ BEGIN PERFORM pg_sleep(0.1); END $$');
+                await slowService.query('SELECT pg_sleep(0.1), \';\' AS "semi"; -- done;');
+
+                // Explaining the first statement would run the rest again
+                await slowService.query('SELECT pg_sleep(0.1); INSERT INTO explain_test.things ("id", "name") SELECT max("id") + 1, \'next\' FROM explain_test.things');
+            } finally {
+                await slowService.close();
+            }
+
+            reports.map(report => report[0]).should.deepEqual(new Array(4).fill('PostgresService: Slow query'));
+            reports[0][1].plan.Plan['Node Type'].should.be.exactly('Result');
+            should(reports[0][1].plan['Execution Time']).be.exactly(undefined);
+            reports[1][1].should.not.have.property('plan');
+            reports[2][1].plan.Plan['Node Type'].should.be.exactly('Result');
+            reports[3][1].should.not.have.property('plan');
+            (await count()).should.be.exactly(3);
+        });
+
+        it('should not attach plans that could leak argument values or disturb a transaction', async () => {
+            const slowService = new PostgresService(app, Object.assign({}, config.postgres.my_database.pool, { slowQueryThresholdMs: 50, explainSlowQueries: true }));
+            await slowService.connect();
+
+            try {
+                // The plan would quote the value as a literal
+                await slowService.query('SELECT pg_sleep(0.1), "name" FROM explain_test.things WHERE "name" = $1', ['123-45-6789']);
+
+                await slowService.transaction(async tx => {
+                    await tx.query('SELECT pg_sleep(0.1)');
+                    (await tx.query('SELECT 1 AS "one"')).rows.should.deepEqual([{ one: 1 }]);
+                });
+            } finally {
+                await slowService.close();
+            }
+
+            reports.map(report => report[0]).should.deepEqual(['PostgresService: Slow query', 'PostgresService: Slow query']);
+            reports.forEach(report => report[1].should.not.have.property('plan'));
+            JSON.stringify(reports).should.not.match(/6789/);
+        });
+
+    });
+
+    describe('describeTable', () => {
+
+        before(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS describe_test CASCADE');
+            await app.services.db.query('CREATE SCHEMA describe_test');
+            await app.services.db.query('CREATE TABLE describe_test.parent ("a" int, "b" int, PRIMARY KEY ("a", "b"))');
+            await app.services.db.query(`
+                CREATE TABLE describe_test.child (
+                  "id" serial PRIMARY KEY,
+                  "name" varchar(20) NOT NULL,
+                  "code" text DEFAULT 'x',
+                  "pa" int,
+                  "pb" int,
+                  CONSTRAINT "child_name_code" UNIQUE ("name", "code"),
+                  CONSTRAINT "child_parent" FOREIGN KEY ("pb", "pa") REFERENCES describe_test.parent ("b", "a") ON DELETE CASCADE ON UPDATE SET NULL
+                )`);
+            await app.services.db.query('CREATE INDEX "child_lower_name" ON describe_test.child (lower("name"), "pa")');
+        });
+
+        after(async () => {
+            await app.services.db.query('DROP SCHEMA IF EXISTS describe_test CASCADE');
+        });
+
+        it('should describe columns', async () => {
+            const res = await app.services.db.describeTable('describe_test', 'child');
+            res.schema.should.be.exactly('describe_test');
+            res.table.should.be.exactly('child');
+            res.columns.map(column => column.name).should.deepEqual(['id', 'name', 'code', 'pa', 'pb']);
+            res.columns[0].should.deepEqual({ name: 'id', type: 'integer', udtName: 'int4', nullable: false, default: "nextval('describe_test.child_id_seq'::regclass)", maxLength: null });
+            res.columns[1].should.deepEqual({ name: 'name', type: 'character varying', udtName: 'varchar', nullable: false, default: null, maxLength: 20 });
+            res.columns[2].should.deepEqual({ name: 'code', type: 'text', udtName: 'text', nullable: true, default: "'x'::text", maxLength: null });
+        });
+
+        it('should describe keys and indexes', async () => {
+            const res = await app.services.db.describeTable('describe_test', 'child');
+            res.primaryKey.should.deepEqual(['id']);
+            res.uniqueConstraints.should.deepEqual([{ name: 'child_name_code', columns: ['name', 'code'] }]);
+            res.foreignKeys.should.deepEqual([{
+                name: 'child_parent',
+                columns: ['pb', 'pa'],
+                references: { schema: 'describe_test', table: 'parent', columns: ['b', 'a'] },
+                onUpdate: 'SET NULL',
+                onDelete: 'CASCADE'
+            }]);
+
+            res.indexes.map(({ name, columns, unique, primary, method }) => ({ name, columns, unique, primary, method })).should.deepEqual([
+                { name: 'child_lower_name', columns: ['lower(name::text)', 'pa'], unique: false, primary: false, method: 'btree' },
+                { name: 'child_name_code', columns: ['name', 'code'], unique: true, primary: false, method: 'btree' },
+                { name: 'child_pkey', columns: ['id'], unique: true, primary: true, method: 'btree' }
+            ]);
+            res.indexes[2].definition.should.match(/^CREATE UNIQUE INDEX child_pkey ON describe_test\.child USING btree \(id\)$/);
+
+            (await app.services.db.describeTable('describe_test', 'parent')).primaryKey.should.deepEqual(['a', 'b']);
+        });
+
+        it('should resolve null for missing tables', async () => {
+            should(await app.services.db.describeTable('describe_test', 'nope')).be.exactly(null);
+            should(await app.services.db.describeTable('nope', 'child')).be.exactly(null);
+        });
+
+    });
+
     // it('should error if you send query bad args', (done) => {
     //     app.services.db.query(1, (err) => {
     //         err.should.be.an.Object();
@@ -0,0 +1,148 @@
+"use strict";
+
+const should = require('should');
+const FS = require('fs');
+const OS = require('os');
+const Path = require('path');
+
+describe('okanjo-pg', () => {
+
+    const run = require('../bin/okanjo-pg');
+    const configPath = Path.join(__dirname, 'config.js');
+    let dir, out, err;
+
+    const io = () => ({
+        stdout: { write: (text) => { out += text; } },
+        stderr: { write: (text) => { err += text; } },
+        cwd: dir
+    });
+
+    const migrate = (...args) => run(['migrate', ...args, '--config', configPath, '--config-key', 'postgres.my_database.pool', '--schema', 'cli_test'], io());
+
+    const writeMigration = (name, table) => {
+        FS.writeFileSync(Path.join(dir, 'migrations', `${name}.js`), `
+            exports.up = tx => tx.query('CREATE TABLE "cli_test"."${table}" ("id" int)');
+            exports.down = tx => tx.query('DROP TABLE "cli_test"."${table}"');
+        `);
+    };
+
+    before(() => {
+        dir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'okanjo-pg-cli-'));
+    });
+
+    after(async () => {
+        FS.rmSync(dir, { recursive: true, force: true });
+        const { PostgresService } = require('../');
+        const OkanjoApp = require('okanjo-app');
+        const service = new PostgresService(new OkanjoApp({}), require('./config').postgres.my_database.pool);
+        await service.connect();
+        await service.query('DROP SCHEMA IF EXISTS cli_test CASCADE');
+        await service.close();
+    });
+
+    beforeEach(() => {
+        out = '';
+        err = '';
+    });
+
+    it('should show usage', async () => {
+        (await run(['--help'], io())).should.be.exactly(0);
+        out.should.match(/^Usage: okanjo-pg migrate/);
+
+        (await run([], io())).should.be.exactly(1);
+        (await run(['migrate', 'sideways'], io())).should.be.exactly(1);
+        err.should.match(/Unknown command: sideways/);
+        (await run(['migrate', 'up', '--bogus'], io())).should.be.exactly(1);
+        err.should.match(/Unknown option: --bogus/);
+        (await run(['migrate', 'up', '--dir'], io())).should.be.exactly(1);
+        err.should.match(/Missing value for --dir/);
+        (await run(['migrate', 'down', 'zero'], io())).should.be.exactly(1);
+        err.should.match(/positive number/);
+        (await run(['migrate', 'up', '--config', configPath, '--config-key', 'nope.nada'], io())).should.be.exactly(1);
+        err.should.match(/Config key nope.nada not found/);
+    });
+
+    it('should scaffold migrations', async () => {
+        (await run(['migrate', 'create', 'add users'], io())).should.be.exactly(1);
+        err.should.match(/create expects a name/);
+
+        (await run(['migrate', 'create', 'create_things'], io())).should.be.exactly(0);
+        const files = FS.readdirSync(Path.join(dir, 'migrations'));
+        files.should.have.length(1);
+        files[0].should.match(/^\d{14}_create_things\.js$/);
+        out.should.match(/Created .*_create_things\.js/);
+
+        const migration = require(Path.join(dir, 'migrations', files[0]));
+        migration.up.should.be.a.Function();
+        migration.down.should.be.a.Function();
+        FS.unlinkSync(Path.join(dir, 'migrations', files[0]));
+    });
+
+    it('should fail to scaffold over an existing file', async () => {
+        // As if created moments ago, within the same second
+        const start = Date.now();
+        const existing = [start, start + 1000].map(time => Path.join(dir, 'migrations', `${new Date(time).toISOString().replace(/\D/g, '').slice(0, 14)}_twice.js`));
+        FS.mkdirSync(Path.join(dir, 'migrations'), { recursive: true });
+        existing.forEach(file => FS.writeFileSync(file, ''));
+        try {
+            (await run(['migrate', 'create', 'twice'], io())).should.be.exactly(1);
+        } finally {
+            existing.forEach(file => FS.unlinkSync(file));
+        }
+        err.should.match(/EEXIST/);
+        out.should.equal('');
+
+        // A file where the directory should be
+        const file = Path.join(dir, 'not-a-dir');
+        FS.writeFileSync(file, '');
+        try {
+            (await run(['migrate', 'create', 'nowhere', '--dir', 'not-a-dir'], io())).should.be.exactly(1);
+        } finally {
+            FS.unlinkSync(file);
+        }
+        err.should.match(/EEXIST|ENOTDIR/);
+    });
+
+    it('should apply, report and roll back migrations', async () => {
+        writeMigration('001_first', 'first');
+        writeMigration('002_second', 'second');
+
+        (await migrate('status')).should.be.exactly(0);
+        out.should.equal('pending  001_first\npending  002_second\n');
+
+        out = '';
+        (await migrate('up')).should.be.exactly(0);
+        out.should.equal('Applied 001_first\nApplied 002_second\n2 migration(s) applied\n');
+
+        out = '';
+        (await migrate('up')).should.be.exactly(0);
+        out.should.equal('Nothing to apply\n');
+
+        out = '';
+        (await migrate('status')).should.be.exactly(0);
+        out.should.match(/^applied {2}001_first {2}\d{4}-\d\d-\d\dT.*\napplied {2}002_second {2}.*\n$/);
+
+        out = '';
+        (await migrate('down', '2')).should.be.exactly(0);
+        out.should.equal('Rolled back 002_second\nRolled back 001_first\n2 migration(s) rolled back\n');
+
+        out = '';
+        (await migrate('down')).should.be.exactly(0);
+        out.should.equal('Nothing to roll back\n');
+    });
+
+    it('should fail on drift', async () => {
+        (await migrate('up')).should.be.exactly(0);
+        FS.appendFileSync(Path.join(dir, 'migrations', '001_first.js'), '// edited\n');
+        FS.unlinkSync(Path.join(dir, 'migrations', '002_second.js'));
+
+        out = '';
+        (await migrate('status')).should.be.exactly(1);
+        out.should.match(/^drift {4}001_first .*\nmissing {2}002_second .*\n$/);
+
+        (await migrate('up')).should.be.exactly(1);
+        err.should.match(/have changed since they ran: 001_first/);
+        should(err).not.match(/Usage/);
+    });
+
+});
@@ -1,3 +1,32 @@
 process.on('unhandledRejection', (reason) => {
     throw reason;
-});
\ No newline at end of file
+});
+
+/**
+ * Captures what the app reports during each test of the calling describe block. Reports are still passed on.
+ * @param {function():OkanjoApp} getApp – Gets the app, which may not exist until the outer before hooks ran
+ * @returns {[[*]]} – The arguments of each report made during the current test
+ */
+exports.captureReports = (getApp) => {
+    const reports = [];
+    let app, originalReport;
+
+    before(() => {
+        app = getApp();
+        originalReport = app.report;
+        app.report = async function(...args) {
+            reports.push(args);
+            return originalReport.apply(this, args);
+        };
+    });
+
+    after(() => {
+        app.report = originalReport;
+    });
+
+    beforeEach(() => {
+        reports.length = 0;
+    });
+
+    return reports;
+};
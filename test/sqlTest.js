@@ -0,0 +1,82 @@
+"use strict";
+
+const should = require('should');
+
+describe('sql', () => {
+
+    const { sql } = require('../');
+
+    it('should turn interpolated values into numbered parameters', () => {
+        const email = 'a@a.com';
+        const query = sql`SELECT * FROM users WHERE email = ${email} AND status != ${'dead'}`;
+        query.should.be.an.instanceOf(sql.SqlFragment);
+        query.toQuery().should.deepEqual({
+            text: 'SELECT * FROM users WHERE email = $1 AND status != $2',
+            values: ['a@a.com', 'dead']
+        });
+    });
+
+    it('should keep values of any type as parameters', () => {
+        const now = new Date();
+        const { text, values } = sql`VALUES (${null}, ${undefined}, ${now}, ${[1, 2]}, ${{ a: 1 }})`.toQuery();
+        text.should.be.exactly('VALUES ($1, $2, $3, $4, $5)');
+        values.length.should.be.exactly(5);
+        should(values[0]).be.exactly(null);
+        should(values[1]).be.exactly(undefined);
+        values[2].should.be.exactly(now);
+        values[3].should.deepEqual([1, 2]);
+        values[4].should.deepEqual({ a: 1 });
+    });
+
+    it('should inline nested fragments and renumber their parameters', () => {
+        const where = sql`"a" = ${1} AND "b" = ${2}`;
+        const query = sql`SELECT ${'x'} FROM t WHERE ${where} LIMIT ${10}`;
+        query.toQuery().should.deepEqual({
+            text: 'SELECT $1 FROM t WHERE "a" = $2 AND "b" = $3 LIMIT $4',
+            values: ['x', 1, 2, 10]
+        });
+    });
+
+    it('should escape identifiers', () => {
+        sql.id('users').toQuery().should.deepEqual({ text: '"users"', values: [] });
+        sql.id('app', 'users').toQuery().text.should.be.exactly('"app"."users"');
+        sql.id('we"ird').toQuery().text.should.be.exactly('"we""ird"');
+        sql`SELECT ${sql.id('id')} FROM ${sql.id('app', 'users')}`.toQuery().text
+            .should.be.exactly('SELECT "id" FROM "app"."users"');
+
+        (() => sql.id()).should.throw(/at least one name/);
+    });
+
+    it('should insert raw text as-is', () => {
+        sql`SELECT * FROM t ORDER BY "a" ${sql.raw('DESC')}`.toQuery()
+            .should.deepEqual({ text: 'SELECT * FROM t ORDER BY "a" DESC', values: [] });
+    });
+
+    it('should join values and fragments', () => {
+        sql`IN (${sql.join([1, 2, 3])})`.toQuery()
+            .should.deepEqual({ text: 'IN ($1, $2, $3)', values: [1, 2, 3] });
+
+        const conditions = [sql`"a" = ${1}`, sql`"b" = ${2}`];
+        sql`WHERE ${sql.join(conditions, ' AND ')}`.toQuery()
+            .should.deepEqual({ text: 'WHERE "a" = $1 AND "b" = $2', values: [1, 2] });
+
+        sql`${sql.join([1, 2], sql` OR ${3} OR `)}`.toQuery()
+            .should.deepEqual({ text: '$1 OR $2 OR $3', values: [1, 3, 2] });
+
+        sql`${sql.join([])}`.toQuery().should.deepEqual({ text: '', values: [] });
+    });
+
+    it('should track the positions of sensitive values', () => {
+        const secret = sql.sensitive('hunter2');
+        secret.should.be.an.instanceOf(sql.SensitiveValue);
+
+        const where = sql`"password" = ${secret}`;
+        sql`UPDATE t SET "a" = ${1} WHERE ${where} AND "b" IN (${sql.join([2, sql.sensitive(3)])})`.toQuery()
+            .should.deepEqual({
+                text: 'UPDATE t SET "a" = $1 WHERE "password" = $2 AND "b" IN ($3, $4)',
+                values: [1, 'hunter2', 2, 3],
+                sensitive: [1, 3]
+            });
+    });
+
+});